@@ -8,6 +8,8 @@ export class Dynamo {
     constructor(params?: {});
     client: any;
     V3: boolean;
+
+    updateTable(params: {}): Promise<any>;
 }
 
 export default Dynamo
@@ -27,6 +27,7 @@ import {
     TransactGetItemsCommand,
     TransactWriteItemsCommand,
     UpdateItemCommand,
+    UpdateTableCommand,
 } from '@aws-sdk/client-dynamodb'
 
 import {marshall, unmarshall} from '@aws-sdk/util-dynamodb'
@@ -60,6 +61,11 @@ export class Dynamo {
         return await this.send(command)
     }
 
+    async updateTable(params) {
+        let command = new UpdateTableCommand(params)
+        return await this.send(command)
+    }
+
     async get(params) {
         let command = new GetItemCommand(params)
         return await this.send(command)
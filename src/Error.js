@@ -45,6 +45,14 @@ export class OneArgError extends Error {
     constructor(message, context) {
         super(message, context)
         init(this, message, context)
-        this.code = context ? context.code : 'Arg'
+        this.code = this.code || 'Arg'
     }
 }
+
+/*
+    Test if an error (or the underlying DynamoDB error) is a conditional check failure
+ */
+export function isConditionFailure(err) {
+    let cause = (err.context && err.context.err) || err
+    return cause.code == 'ConditionalCheckFailedException' || cause.name == 'ConditionalCheckFailedException'
+}
@@ -3,12 +3,14 @@ export class Expression<ModelT> {
     constructor(model: ModelT, op: string, properties: OneProperties, params?: OneParams);
     add(field: string, value: any): void;
     expand(where: any): any;
+    makeWhere(where: any): string;
     addFilter(att: string, value: any): void;
     addKey(op: string, field: string, value: any): void;
     addUpdate(field: string, value: any): void;
     makeTarget(fields: string, name: string): string;
     command(): any;
     and(terms: string[]): string;
+    combine(terms: string[], op: string): string;
     addName(name: string): number;
     addValue(value: any): number;
     // Internal only methods
@@ -17,5 +19,11 @@ export class Expression<ModelT> {
     addConditions(op: string): void;
     addFilters(): void;
     addUpdates(): void;
+    whereObject(where: any): string;
+    whereField(name: string, condition: any): string;
+    whereOperator(field: any, target: string, op: string, value: any): string;
+    whereValue(field: any, value: any): any;
+    getField(name: string): any;
+    setObject(name: string, value: any): string;
     selectIndex(indexes: Record<string, OneIndexSchema>): OneIndexSchema;
 }
@@ -9,6 +9,12 @@ import {OneError, OneArgError} from './Error.js'
 //  Operators used on sort keys for get/delete
 const KeyOperators =    [ '<', '<=', '=', '>=', '>', 'begins', 'begins_with', 'between' ]
 
+//  Comparison operators used in object where clauses
+const CompareOperators = [ '<', '<=', '=', '<>', '>=', '>' ]
+
+//  Operators used in object set values
+const SetOperators =    [ '+', '-', 'append', 'prepend', 'if_not_exists' ]
+
 export class Expression {
 
     constructor(model, op, properties, params = {}) {
@@ -34,6 +40,7 @@ export class Expression {
         this.project = []           //  Projection expressions
         this.values = {}            //  Expression values. Keys are the indexes.
         this.valuesMap = {}         //  Expression values reverse map. Keys are the values.
+        this.versioned = false      //  Condition on the expected item version
         this.nindex = 0             //  Next index into names
         this.vindex = 0             //  Next index into values
         this.updates = {
@@ -111,12 +118,14 @@ export class Expression {
                 this.add({attribute: [k], name: k, filter: false}, v, properties)
             }
         }
-        if (params.fields) {
+        //  Followed index queries only need the keys. The fields are projected when reading the followed items.
+        let follow = op == 'find' && (params.follow || (this.index.follow && params.follow !== false))
+        if (params.fields && !follow) {
             for (let name of params.fields) {
                 if (op == 'batchGet') {
                     //  BatchGet params.project must provide attributes not properties
                     this.project.push(`#_${this.addName(name)}`)
-                } else if (fields[name]) {
+                } else if (fields[name] && !fields[name].virtual) {
                     let att = fields[name].attribute[0]
                     this.project.push(`#_${this.addName(att)}`)
                 }
@@ -207,14 +216,36 @@ export class Expression {
         if (params.type && sort) {
             conditions.push(`attribute_type(${sort}, ${params.type})`)
         }
+        if (this.model.versionField && (op == 'delete' || op == 'update') && !params.batch) {
+            this.addVersion(op)
+        }
         if (op == 'update') {
             this.addUpdates()
         }
         if (params.where && (op == 'delete' || op == 'update')) {
-            conditions.push(this.expand(params.where))
+            conditions.push(this.makeWhere(params.where))
         }
     }
 
+    /*
+        Optimistic locking. If a version is provided, require the item to have that version.
+        Updates always increment the version.
+     */
+    addVersion(op) {
+        let {conditions, properties, updates} = this
+        let field = this.model.block.fields[this.model.versionField]
+        let target = `#_${this.addName(field.attribute[0])}`
+        let version = properties[field.name]
+        if (version != null) {
+            conditions.push(`${target} = :_${this.addValue(version)}`)
+            this.versioned = true
+        }
+        if (op == 'update') {
+            updates.set.push(`${target} = if_not_exists(${target}, :_${this.addValue(0)}) + :_${this.addValue(1)}`)
+        }
+        this.already[field.name] = true
+    }
+
     /*
         Expand a where/set expression. Replace: ${var} and {value} tokens.
      */
@@ -273,12 +304,181 @@ export class Expression {
         return where
     }
 
+    /*
+        Make a filter or condition expression from a where clause. The where clause may be a string template
+        (see expand) or an object (see whereObject).
+     */
+    makeWhere(where) {
+        if (where && typeof where == 'object') {
+            return this.whereObject(where)
+        }
+        return this.expand(where)
+    }
+
+    /*
+        Compile an object where clause. The clause is a map of:
+            and: [clauses], or: [clauses], not: clause
+            field: value                            Equality
+            field: {operator: value, ...}           Comparison operators and functions
+        Multiple map entries are combined with "and". Clauses in and/or/not may also be string templates.
+     */
+    whereObject(where) {
+        if (typeof where == 'string') {
+            return this.expand(where)
+        }
+        if (where == null || typeof where != 'object' || Array.isArray(where)) {
+            throw new OneArgError('Invalid where clause', {where})
+        }
+        let terms = []
+        for (let [key, value] of Object.entries(where)) {
+            if (key == 'and' || key == 'or') {
+                if (!Array.isArray(value) || value.length == 0) {
+                    throw new OneArgError(`Where clause "${key}" must be a non-empty array`, {where})
+                }
+                terms.push(this.combine(value.map(clause => this.whereObject(clause)), key))
+
+            } else if (key == 'not') {
+                terms.push(`not (${this.whereObject(value)})`)
+
+            } else {
+                terms.push(this.whereField(key, value))
+            }
+        }
+        if (terms.length == 0) {
+            throw new OneArgError('Empty where clause')
+        }
+        return this.combine(terms, 'and')
+    }
+
+    /*
+        Compile the conditions for a field in an object where clause
+     */
+    whereField(name, condition) {
+        let field = this.getField(name)
+        let target = this.makeTarget(this.model.block.fields, name)
+        if (!isOperators(condition)) {
+            return `${target} = :_${this.addValue(this.whereValue(field, condition))}`
+        }
+        let terms = []
+        for (let [op, value] of Object.entries(condition)) {
+            terms.push(this.whereOperator(field, target, op, value))
+        }
+        if (terms.length == 0) {
+            throw new OneArgError(`Empty where condition for "${name}"`)
+        }
+        return this.combine(terms, 'and')
+    }
+
+    whereOperator(field, target, op, value) {
+        let v = (value) => `:_${this.addValue(this.whereValue(field, value))}`
+
+        if (CompareOperators.indexOf(op) >= 0) {
+            return `${target} ${op} ${v(value)}`
+
+        } else if (op == 'begins' || op == 'begins_with') {
+            return `begins_with(${target}, ${v(value)})`
+
+        } else if (op == 'between') {
+            if (!Array.isArray(value) || value.length != 2) {
+                throw new OneArgError('Where "between" requires an array of two values')
+            }
+            return `${target} BETWEEN ${v(value[0])} AND ${v(value[1])}`
+
+        } else if (op == 'contains') {
+            return `contains(${target}, :_${this.addValue(value)})`
+
+        } else if (op == 'exists') {
+            return value ? `attribute_exists(${target})` : `attribute_not_exists(${target})`
+
+        } else if (op == 'in') {
+            if (!Array.isArray(value) || value.length == 0) {
+                throw new OneArgError('Where "in" requires a non-empty array of values')
+            }
+            return `${target} IN (${value.map(item => v(item)).join(', ')})`
+
+        } else if (op == 'size') {
+            if (!isOperators(value)) {
+                return `size(${target}) = :_${this.addValue(value)}`
+            }
+            return this.combine(Object.entries(value).map(([sop, size]) => {
+                if (CompareOperators.indexOf(sop) < 0) {
+                    throw new OneArgError(`Invalid where size operator "${sop}"`)
+                }
+                return `size(${target}) ${sop} :_${this.addValue(size)}`
+            }), 'and')
+
+        } else if (op == 'type') {
+            return `attribute_type(${target}, :_${this.addValue(value)})`
+        }
+        throw new OneArgError(`Invalid where operator "${op}"`)
+    }
+
+    whereValue(field, value) {
+        if (value instanceof Date) {
+            value = this.model.transformWriteDate(field || {isoDates: this.table.isoDates}, value)
+        }
+        return value
+    }
+
+    /*
+        Find the schema field for a property name or path ("a.b", "list[0].c"). Throws if a name is not defined
+        by the model or nested schema. Returns null for a path below an untyped object.
+     */
+    getField(name) {
+        let fields = this.model.block.fields
+        let field = null
+        for (let prop of name.split('.')) {
+            prop = prop.replace(/\[[^\]]+\]+/, '')
+            if (!fields) {
+                return null
+            }
+            field = fields[prop]
+            if (!field) {
+                if (this.model.generic) {
+                    return null
+                }
+                throw new OneArgError(`Unknown field "${name}" in where clause for model "${this.model.name}"`)
+            }
+            if (field.virtual) {
+                throw new OneArgError(`Cannot use virtual field "${name}" in where clause for model "${this.model.name}"`)
+            }
+            fields = field.schema ? field.block.fields : null
+        }
+        return field
+    }
+
+    /*
+        Make an update set expression from an object set value: {'+': n}, {'-': n}, {append: list},
+        {prepend: list} or {if_not_exists: value}
+     */
+    setObject(name, value) {
+        let field = this.getField(name)
+        let target = this.makeTarget(this.model.block.fields, name)
+        let [op, arg] = Object.entries(value)[0]
+        arg = this.whereValue(field, arg)
+        if (op == '+' || op == '-') {
+            return `${target} ${op} :_${this.addValue(arg)}`
+
+        } else if (op == 'append') {
+            return `list_append(if_not_exists(${target}, :_${this.addValue([])}), :_${this.addValue(arg)})`
+
+        } else if (op == 'prepend') {
+            return `list_append(:_${this.addValue(arg)}, if_not_exists(${target}, :_${this.addValue([])}))`
+        }
+        return `if_not_exists(${target}, :_${this.addValue(arg)})`
+    }
+
     /*
         Add filter expressions for find and scan
      */
     addFilters() {
         if (this.params.where) {
-            this.filters.push(this.expand(this.params.where))
+            this.filters.push(this.makeWhere(this.params.where))
+        }
+        let deleted = this.model.deletedField
+        if (deleted && !this.params.deleted) {
+            //  Omit soft deleted items
+            this.filters.push(`attribute_not_exists(${this.makeTarget(this.model.block.fields, deleted)})`)
         }
     }
 
@@ -390,7 +590,9 @@ export class Expression {
                 this.already[key] = true
                 let target = this.makeTarget(fields, key)
                 //  If value is number of simple string then don't expand
-                if (value.toString().match(/\${.*?}|@{.*?}|{.*?}/)) {
+                if (isSetOperation(value)) {
+                    updates.set.push(`${target} = ${this.setObject(key, value)}`)
+                } else if (value.toString().match(/\${.*?}|@{.*?}|{.*?}/)) {
                     updates.set.push(`${target} = ${this.expand(value)}`)
                 } else {
                     updates.set.push(`${target} = :_${this.addValue(value)}`)
@@ -554,10 +756,17 @@ export class Expression {
         Join the terms with 'and'
     */
     and(terms) {
+        return this.combine(terms, 'and')
+    }
+
+    /*
+        Join the terms with a boolean operator
+    */
+    combine(terms, op) {
         if (terms.length == 1) {
             return terms.join('')
         }
-        return terms.map(t => `(${t})`).join(' and ')
+        return terms.map(t => `(${t})`).join(` ${op} `)
     }
 
     /*
@@ -592,3 +801,22 @@ export class Expression {
         return index
     }
 }
+
+/*
+    Test if a where condition is a map of operators rather than a value
+ */
+function isOperators(condition) {
+    return condition != null && typeof condition == 'object' && !Array.isArray(condition) &&
+        !(condition instanceof Date) && !(condition instanceof Set) && !ArrayBuffer.isView(condition)
+}
+
+/*
+    Test if a set value is an operation. Object values with other properties are set as map values.
+ */
+function isSetOperation(value) {
+    if (!isOperators(value)) {
+        return false
+    }
+    let keys = Object.keys(value)
+    return keys.length == 1 && SetOperators.indexOf(keys[0]) >= 0
+}
@@ -0,0 +1,29 @@
+/*
+    MemoryDynamo.d.ts -- In-memory DynamoDB stand-in client
+*/
+
+export class MemoryDynamo {
+    constructor(params?: {});
+    params: {};
+    tables: {};
+    V3: boolean;
+
+    createTable(params: {}): Promise<any>;
+    deleteTable(params: {}): Promise<any>;
+    describeTable(params: {}): Promise<any>;
+    listTables(params?: {}): Promise<any>;
+    updateTable(params: {}): Promise<any>;
+
+    get(params: {}): Promise<any>;
+    put(params: {}): Promise<any>;
+    update(params: {}): Promise<any>;
+    delete(params: {}): Promise<any>;
+    find(params: {}): Promise<any>;
+    scan(params: {}): Promise<any>;
+    batchGet(params: {}): Promise<any>;
+    batchWrite(params: {}): Promise<any>;
+    transactGet(params: {}): Promise<any>;
+    transactWrite(params: {}): Promise<any>;
+}
+
+export default MemoryDynamo
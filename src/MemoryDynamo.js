@@ -0,0 +1,1203 @@
+/*
+    MemoryDynamo.js -- In-memory DynamoDB stand-in client
+
+    This module implements the same interface as the Dynamo class, but stores tables in memory.
+    It evaluates key conditions, filter, condition, update and projection expressions and
+    maintains secondary indexes so that unit tests can run without a DynamoDB instance.
+
+    Use:
+        import {Table} from 'dynamodb-onetable'
+        import MemoryDynamo from 'dynamodb-onetable/MemoryDynamo'
+
+        const table = new Table({client: new MemoryDynamo(), name: 'MyTable', schema})
+*/
+
+import {marshall, unmarshall} from '@aws-sdk/util-dynamodb'
+
+//  DynamoDB service limits
+const MaxBatchGet = 100
+const MaxBatchWrite = 25
+const MaxTransactItems = 100
+const MaxPageSize = 1024 * 1024
+
+const Comparators = ['=', '<>', '<', '<=', '>', '>=']
+const UpdateClauses = ['SET', 'REMOVE', 'ADD', 'DELETE']
+
+export class MemoryDynamo {
+    constructor(params = {}) {
+        this.params = params
+        this.marshall = marshall
+        this.unmarshall = unmarshall
+        this.tables = {}
+        this.tokens = {}
+        this.V3 = true
+    }
+
+    async createTable(params) {
+        let name = params.TableName
+        if (this.tables[name]) {
+            throw serviceError('ResourceInUseException', `Table already exists: ${name}`)
+        }
+        let def = clone({
+            TableName: name,
+            KeySchema: params.KeySchema,
+            AttributeDefinitions: params.AttributeDefinitions || [],
+            BillingModeSummary: {BillingMode: params.BillingMode || 'PROVISIONED'},
+            TableStatus: 'ACTIVE',
+            CreationDateTime: new Date(),
+        })
+        if (params.ProvisionedThroughput) {
+            def.ProvisionedThroughput = clone(params.ProvisionedThroughput)
+        }
+        for (let kind of ['GlobalSecondaryIndexes', 'LocalSecondaryIndexes']) {
+            if (params[kind] && params[kind].length) {
+                def[kind] = params[kind].map(index => Object.assign(clone(index), {IndexStatus: 'ACTIVE'}))
+            }
+        }
+        this.tables[name] = {def, items: new Map()}
+        return {TableDescription: this.describe(name), $metadata: {}}
+    }
+
+    async deleteTable(params) {
+        let table = this.getTable(params.TableName)
+        delete this.tables[params.TableName]
+        return {TableDescription: Object.assign(table.def, {TableStatus: 'DELETING'}), $metadata: {}}
+    }
+
+    async describeTable(params) {
+        this.getTable(params.TableName)
+        return {Table: this.describe(params.TableName), $metadata: {}}
+    }
+
+    async listTables() {
+        return {TableNames: Object.keys(this.tables).sort(), $metadata: {}}
+    }
+
+    async updateTable(params) {
+        let table = this.getTable(params.TableName)
+        let def = table.def
+        for (let att of params.AttributeDefinitions || []) {
+            if (!def.AttributeDefinitions.find(a => a.AttributeName == att.AttributeName)) {
+                def.AttributeDefinitions.push(clone(att))
+            }
+        }
+        if (params.BillingMode) {
+            def.BillingModeSummary = {BillingMode: params.BillingMode}
+        }
+        if (params.ProvisionedThroughput) {
+            def.ProvisionedThroughput = clone(params.ProvisionedThroughput)
+        }
+        let updates = params.GlobalSecondaryIndexUpdates || []
+        if (updates.length > 1) {
+            throw serviceError('ValidationException', 'Only one global secondary index update per call is allowed')
+        }
+        for (let update of updates) {
+            let indexes = def.GlobalSecondaryIndexes = def.GlobalSecondaryIndexes || []
+            if (update.Create) {
+                if (indexes.find(i => i.IndexName == update.Create.IndexName)) {
+                    throw serviceError('ValidationException', `Index already exists: ${update.Create.IndexName}`)
+                }
+                indexes.push(Object.assign(clone(update.Create), {IndexStatus: 'ACTIVE'}))
+
+            } else if (update.Delete) {
+                let pos = indexes.findIndex(i => i.IndexName == update.Delete.IndexName)
+                if (pos < 0) {
+                    throw serviceError('ResourceNotFoundException', `Requested resource not found: ${update.Delete.IndexName}`)
+                }
+                indexes.splice(pos, 1)
+
+            } else if (update.Update) {
+                let index = indexes.find(i => i.IndexName == update.Update.IndexName)
+                if (!index) {
+                    throw serviceError('ResourceNotFoundException', `Requested resource not found: ${update.Update.IndexName}`)
+                }
+                if (update.Update.ProvisionedThroughput) {
+                    index.ProvisionedThroughput = clone(update.Update.ProvisionedThroughput)
+                }
+            }
+            if (indexes.length == 0) {
+                delete def.GlobalSecondaryIndexes
+            }
+        }
+        return {TableDescription: this.describe(params.TableName), $metadata: {}}
+    }
+
+    async get(params) {
+        let table = this.getTable(params.TableName)
+        let item = table.items.get(this.makeKey(table, params.Key))
+        let result = {$metadata: {}}
+        if (item) {
+            result.Item = project(item, params.ProjectionExpression, params.ExpressionAttributeNames)
+        }
+        return this.capacity(result, params, 'read', item)
+    }
+
+    async put(params) {
+        let table = this.getTable(params.TableName)
+        let item = clone(params.Item)
+        let key = this.makeKey(table, item, true)
+        let prior = table.items.get(key)
+        this.checkCondition(params, prior)
+        table.items.set(key, item)
+        return this.capacity(this.returnValues(params, prior, item), params, 'write', item)
+    }
+
+    async update(params) {
+        let table = this.getTable(params.TableName)
+        let key = this.makeKey(table, params.Key)
+        let prior = table.items.get(key)
+        this.checkCondition(params, prior)
+        let item = clone(prior || params.Key)
+        let touched = []
+        if (params.UpdateExpression) {
+            let ast = new Parser(params.UpdateExpression, params).parseUpdate()
+            touched = applyUpdate(item, ast, params, this.keyNames(table))
+        }
+        this.checkKey(table, item, true)
+        table.items.set(key, item)
+        return this.capacity(this.returnValues(params, prior, item, touched), params, 'write', item)
+    }
+
+    async delete(params) {
+        let table = this.getTable(params.TableName)
+        let key = this.makeKey(table, params.Key)
+        let prior = table.items.get(key)
+        this.checkCondition(params, prior)
+        table.items.delete(key)
+        return this.capacity(this.returnValues(params, prior, null), params, 'write', prior)
+    }
+
+    async find(params) {
+        let table = this.getTable(params.TableName)
+        if (!params.KeyConditionExpression) {
+            throw serviceError('ValidationException', 'Either the KeyConditions or KeyConditionExpression parameter must be specified')
+        }
+        let {hash, sort} = this.indexKeys(table, params.IndexName)
+        let condition = new Parser(params.KeyConditionExpression, params).parseCondition()
+        let items = this.indexItems(table, params.IndexName).filter(item => evaluate(condition, item, params))
+        if (items.find(item => !equals(item[hash], items[0][hash]))) {
+            throw serviceError('ValidationException', 'Query key condition must specify a single partition key value')
+        }
+        items.sort((a, b) => compareItems(a, b, sort))
+        if (params.ScanIndexForward === false) {
+            items.reverse()
+        }
+        return this.page(table, items, params)
+    }
+
+    async scan(params) {
+        let table = this.getTable(params.TableName)
+        let {hash} = this.indexKeys(table, params.IndexName)
+        let items = this.indexItems(table, params.IndexName)
+        if (params.TotalSegments != null) {
+            items = items.filter(item => segmentOf(item[hash], params.TotalSegments) == params.Segment)
+        }
+        return this.page(table, items, params)
+    }
+
+    async batchGet(params) {
+        checkRequestItems(params)
+        let count = Object.values(params.RequestItems).reduce((total, request) => total + request.Keys.length, 0)
+        if (count > MaxBatchGet) {
+            throw serviceError('ValidationException', `Too many items requested for the BatchGetItem call`)
+        }
+        let responses = {}
+        for (let [name, request] of Object.entries(params.RequestItems)) {
+            let table = this.getTable(name)
+            let list = responses[name] = []
+            for (let key of request.Keys) {
+                let item = table.items.get(this.makeKey(table, key))
+                if (item) {
+                    list.push(project(item, request.ProjectionExpression, request.ExpressionAttributeNames))
+                }
+            }
+        }
+        return {Responses: responses, UnprocessedKeys: {}, $metadata: {}}
+    }
+
+    async batchWrite(params) {
+        checkRequestItems(params)
+        let count = Object.values(params.RequestItems).reduce((total, list) => total + list.length, 0)
+        if (count > MaxBatchWrite) {
+            throw serviceError('ValidationException', 'Too many items requested for the BatchWriteItem call')
+        }
+        for (let [name, list] of Object.entries(params.RequestItems)) {
+            let table = this.getTable(name)
+            for (let request of list) {
+                if (request.PutRequest) {
+                    let item = clone(request.PutRequest.Item)
+                    table.items.set(this.makeKey(table, item, true), item)
+                } else if (request.DeleteRequest) {
+                    table.items.delete(this.makeKey(table, request.DeleteRequest.Key))
+                }
+            }
+        }
+        return {UnprocessedItems: {}, $metadata: {}}
+    }
+
+    async transactGet(params) {
+        let items = params.TransactItems || []
+        if (items.length > MaxTransactItems) {
+            throw serviceError('ValidationException', 'Member must have length less than or equal to 100')
+        }
+        let responses = items.map(({Get}) => {
+            let table = this.getTable(Get.TableName)
+            let item = table.items.get(this.makeKey(table, Get.Key))
+            return item ? {Item: project(item, Get.ProjectionExpression, Get.ExpressionAttributeNames)} : {}
+        })
+        return {Responses: responses, $metadata: {}}
+    }
+
+    async transactWrite(params) {
+        let items = params.TransactItems || []
+        if (items.length > MaxTransactItems) {
+            throw serviceError('ValidationException', 'Member must have length less than or equal to 100')
+        }
+        let token = params.ClientRequestToken
+        if (token && this.tokens[token]) {
+            return {$metadata: {}}
+        }
+        let keys = {}, reasons = [], failed = false
+        for (let op of items) {
+            let [kind, request] = Object.entries(op)[0]
+            let table = this.getTable(request.TableName)
+            let key = this.makeKey(table, request.Key || request.Item, kind == 'Put')
+            if (keys[request.TableName + key]) {
+                throw serviceError('ValidationException', 'Transaction request cannot include multiple operations on one item')
+            }
+            keys[request.TableName + key] = true
+            try {
+                this.checkCondition(request, table.items.get(key))
+                reasons.push({Code: 'None'})
+            } catch (err) {
+                if (err.name != 'ConditionalCheckFailedException') {
+                    throw err
+                }
+                failed = true
+                reasons.push({Code: 'ConditionalCheckFailed', Message: 'The conditional request failed'})
+            }
+        }
+        if (failed) {
+            let codes = reasons.map(r => r.Code).join(', ')
+            let err = serviceError('TransactionCanceledException',
+                `Transaction cancelled, please refer cancellation reasons for specific reasons [${codes}]`)
+            err.CancellationReasons = reasons
+            throw err
+        }
+        for (let op of items) {
+            let [kind, request] = Object.entries(op)[0]
+            let args = Object.assign({}, request, {ConditionExpression: undefined})
+            if (kind == 'Put') {
+                await this.put(args)
+            } else if (kind == 'Update') {
+                await this.update(args)
+            } else if (kind == 'Delete') {
+                await this.delete(args)
+            }
+        }
+        if (token) {
+            this.tokens[token] = true
+        }
+        return {$metadata: {}}
+    }
+
+    /*
+        Return a page of query or scan results observing Limit, ExclusiveStartKey and the 1MB page size
+    */
+    page(table, items, params) {
+        let keyNames = this.keyNames(table, params.IndexName)
+        if (params.ExclusiveStartKey) {
+            let start = params.ExclusiveStartKey
+            let pos = items.findIndex(item => keyNames.every(name => equals(item[name], start[name])))
+            items = pos >= 0 ? items.slice(pos + 1) : items.filter(item => this.after(table, item, start, params))
+        }
+        let filter = params.FilterExpression ? new Parser(params.FilterExpression, params).parseCondition() : null
+        let result = [], scanned = 0, size = 0, last = null
+        for (let item of items) {
+            if (params.Limit && scanned >= params.Limit) {
+                break
+            }
+            if (size >= MaxPageSize) {
+                break
+            }
+            scanned++
+            size += itemSize(item)
+            last = item
+            if (!filter || evaluate(filter, item, params)) {
+                result.push(item)
+            }
+        }
+        let response = {Count: result.length, ScannedCount: scanned, $metadata: {}}
+        if (params.Select != 'COUNT') {
+            response.Items = result.map(item => project(item, params.ProjectionExpression, params.ExpressionAttributeNames))
+        }
+        if (last && (scanned < items.length || (params.Limit && scanned >= params.Limit))) {
+            response.LastEvaluatedKey = {}
+            for (let name of keyNames) {
+                response.LastEvaluatedKey[name] = clone(last[name])
+            }
+        }
+        return this.capacity(response, params, 'read', null, size)
+    }
+
+    /*
+        Test if an item sorts after a start key that is no longer present
+    */
+    after(table, item, start, params) {
+        let {hash, sort} = this.indexKeys(table, params.IndexName)
+        if (params.TotalSegments == null && params.KeyConditionExpression) {
+            let order = compareItems(item, start, sort)
+            return params.ScanIndexForward === false ? order < 0 : order > 0
+        }
+        return compareScan(item, start, hash, sort) > 0
+    }
+
+    /*
+        Return the items visible via an index with the index projection applied
+    */
+    indexItems(table, indexName) {
+        let {hash, sort} = this.indexKeys(table, indexName)
+        let items = Array.from(table.items.values()).filter(item => item[hash] && (!sort || item[sort]))
+        let index = this.getIndex(table, indexName)
+        if (index) {
+            let projection = index.Projection || {ProjectionType: 'ALL'}
+            if (projection.ProjectionType != 'ALL') {
+                let names = this.keyNames(table, indexName).concat(projection.NonKeyAttributes || [])
+                items = items.map(item => {
+                    let result = {}
+                    for (let name of names) {
+                        if (item[name] !== undefined) {
+                            result[name] = item[name]
+                        }
+                    }
+                    return result
+                })
+            }
+        }
+        let primary = this.indexKeys(table)
+        return items.sort((a, b) => compareScan(a, b, primary.hash, primary.sort))
+    }
+
+    getIndex(table, indexName) {
+        if (!indexName) {
+            return null
+        }
+        let def = table.def
+        let index = (def.GlobalSecondaryIndexes || []).concat(def.LocalSecondaryIndexes || []).find(i => i.IndexName == indexName)
+        if (!index) {
+            throw serviceError('ValidationException', `The table does not have the specified index: ${indexName}`)
+        }
+        return index
+    }
+
+    indexKeys(table, indexName) {
+        let index = this.getIndex(table, indexName)
+        let schema = index ? index.KeySchema : table.def.KeySchema
+        let keys = {}
+        for (let key of schema) {
+            keys[key.KeyType == 'HASH' ? 'hash' : 'sort'] = key.AttributeName
+        }
+        return keys
+    }
+
+    /*
+        Names of the attributes in a LastEvaluatedKey for the table or index
+    */
+    keyNames(table, indexName) {
+        let names = table.def.KeySchema.map(k => k.AttributeName)
+        if (indexName) {
+            let {hash, sort} = this.indexKeys(table, indexName)
+            names = [hash, sort].filter(n => n && names.indexOf(n) < 0).concat(names)
+        }
+        return names
+    }
+
+    makeKey(table, item, full = false) {
+        if (!item) {
+            throw serviceError('ValidationException', 'The provided key element does not match the schema')
+        }
+        this.checkKey(table, item, full)
+        return JSON.stringify(table.def.KeySchema.map(k => item[k.AttributeName]))
+    }
+
+    checkKey(table, item, full) {
+        for (let key of table.def.KeySchema) {
+            let value = item[key.AttributeName]
+            let def = table.def.AttributeDefinitions.find(a => a.AttributeName == key.AttributeName)
+            if (!value || (def && value[def.AttributeType] === undefined)) {
+                throw serviceError('ValidationException', 'The provided key element does not match the schema')
+            }
+            if (value.S === '') {
+                throw serviceError('ValidationException',
+                    `One or more parameter values are not valid. The AttributeValue for a key attribute cannot contain an empty string value. Key: ${key.AttributeName}`)
+            }
+        }
+        if (!full) {
+            let names = table.def.KeySchema.map(k => k.AttributeName)
+            if (Object.keys(item).find(name => names.indexOf(name) < 0)) {
+                throw serviceError('ValidationException', 'The provided key element does not match the schema')
+            }
+        }
+    }
+
+    checkCondition(params, prior) {
+        if (params.ConditionExpression) {
+            let condition = new Parser(params.ConditionExpression, params).parseCondition()
+            if (!evaluate(condition, prior || {}, params)) {
+                throw serviceError('ConditionalCheckFailedException', 'The conditional request failed')
+            }
+        }
+    }
+
+    returnValues(params, prior, item, touched = []) {
+        let result = {$metadata: {}}
+        let mode = params.ReturnValues || 'NONE'
+        if (mode == 'ALL_OLD' && prior) {
+            result.Attributes = clone(prior)
+        } else if (mode == 'ALL_NEW' && item) {
+            result.Attributes = clone(item)
+        } else if (mode == 'UPDATED_OLD' || mode == 'UPDATED_NEW') {
+            let source = mode == 'UPDATED_OLD' ? prior : item
+            if (source) {
+                let attributes = {}
+                for (let name of touched) {
+                    if (source[name] !== undefined) {
+                        attributes[name] = clone(source[name])
+                    }
+                }
+                if (Object.keys(attributes).length) {
+                    result.Attributes = attributes
+                }
+            }
+        }
+        return result
+    }
+
+    /*
+        Add consumed capacity when requested. Reads are 4KB units and writes are 1KB units.
+    */
+    capacity(result, params, kind, item, size) {
+        if (params.ReturnConsumedCapacity && params.ReturnConsumedCapacity != 'NONE') {
+            size = size != null ? size : (item ? itemSize(item) : 0)
+            let units = kind == 'read' ? Math.max(1, Math.ceil(size / 4096)) : Math.max(1, Math.ceil(size / 1024))
+            if (kind == 'read' && !params.ConsistentRead) {
+                units /= 2
+            }
+            result.ConsumedCapacity = {TableName: params.TableName, CapacityUnits: units}
+        }
+        return result
+    }
+
+    describe(name) {
+        let table = this.tables[name]
+        let size = 0
+        for (let item of table.items.values()) {
+            size += itemSize(item)
+        }
+        return Object.assign(clone(table.def), {ItemCount: table.items.size, TableSizeBytes: size})
+    }
+
+    getTable(name) {
+        let table = this.tables[name]
+        if (!table) {
+            throw serviceError('ResourceNotFoundException', 'Cannot do operations on a non-existent table')
+        }
+        return table
+    }
+}
+
+/*
+    Create an exception resembling an AWS SDK V3 service exception
+*/
+function serviceError(name, message) {
+    let err = new Error(message)
+    err.name = name
+    err.$fault = 'client'
+    err.$metadata = {}
+    return err
+}
+
+function checkRequestItems(params) {
+    let requests = params.RequestItems
+    if (!requests || typeof requests != 'object' || Object.keys(requests).length == 0) {
+        throw serviceError('ValidationException', 'The requestItems parameter is required for BatchGetItem and BatchWriteItem')
+    }
+}
+
+/*
+    Recursive parser for DynamoDB condition, key condition and update expressions
+*/
+class Parser {
+    constructor(expression, params) {
+        this.expression = expression
+        this.names = params.ExpressionAttributeNames || {}
+        this.values = params.ExpressionAttributeValues || {}
+        this.tokens = tokenize(expression)
+        this.pos = 0
+    }
+
+    parseCondition() {
+        let node = this.parseOr()
+        if (this.peek()) {
+            this.fail(`Unexpected token "${this.peek()}"`)
+        }
+        return node
+    }
+
+    parseOr() {
+        let node = this.parseAnd()
+        while (this.keyword('OR')) {
+            node = {op: 'or', left: node, right: this.parseAnd()}
+        }
+        return node
+    }
+
+    parseAnd() {
+        let node = this.parseNot()
+        while (this.keyword('AND')) {
+            node = {op: 'and', left: node, right: this.parseNot()}
+        }
+        return node
+    }
+
+    parseNot() {
+        if (this.keyword('NOT')) {
+            return {op: 'not', arg: this.parseNot()}
+        }
+        return this.parsePredicate()
+    }
+
+    parsePredicate() {
+        if (this.accept('(')) {
+            let node = this.parseOr()
+            this.expect(')')
+            return node
+        }
+        let token = this.peek()
+        let name = token ? token.toLowerCase() : null
+        if (this.peek(1) == '(' && name != 'size') {
+            this.next()
+            this.expect('(')
+            let args = [this.parseOperand()]
+            while (this.accept(',')) {
+                args.push(this.parseOperand())
+            }
+            this.expect(')')
+            return {op: 'function', name, args}
+        }
+        let left = this.parseOperand()
+        if (this.keyword('BETWEEN')) {
+            let low = this.parseOperand()
+            if (!this.keyword('AND')) {
+                this.fail('Missing AND in BETWEEN')
+            }
+            return {op: 'between', left, low, high: this.parseOperand()}
+        }
+        if (this.keyword('IN')) {
+            this.expect('(')
+            let list = [this.parseOperand()]
+            while (this.accept(',')) {
+                list.push(this.parseOperand())
+            }
+            this.expect(')')
+            return {op: 'in', left, list}
+        }
+        let comparator = this.next()
+        if (Comparators.indexOf(comparator) < 0) {
+            this.fail(`Invalid comparator "${comparator}"`)
+        }
+        return {op: 'compare', comparator, left, right: this.parseOperand()}
+    }
+
+    parseOperand() {
+        let token = this.peek()
+        if (token == null) {
+            this.fail('Missing operand')
+        }
+        if (token[0] == ':') {
+            this.next()
+            if (this.values[token] === undefined) {
+                this.fail(`An expression attribute value used in expression is not defined: ${token}`)
+            }
+            return {value: this.values[token]}
+        }
+        if (token.toLowerCase() == 'size' && this.peek(1) == '(') {
+            this.next()
+            this.expect('(')
+            let path = this.parsePath()
+            this.expect(')')
+            return {size: path}
+        }
+        return {path: this.parsePath()}
+    }
+
+    parsePath() {
+        let path = [this.parseName()]
+        for (;;) {
+            if (this.accept('.')) {
+                path.push(this.parseName())
+            } else if (this.accept('[')) {
+                let index = this.next()
+                if (!/^[0-9]+$/.test(index)) {
+                    this.fail(`Invalid list index "${index}"`)
+                }
+                path.push(+index)
+                this.expect(']')
+            } else {
+                break
+            }
+        }
+        return path
+    }
+
+    parseName() {
+        let token = this.next()
+        if (token == null || !/^[#A-Za-z_]/.test(token)) {
+            this.fail(`Invalid attribute name "${token}"`)
+        }
+        if (token[0] == '#') {
+            let name = this.names[token]
+            if (name === undefined) {
+                this.fail(`An expression attribute name used in the document path is not defined: ${token}`)
+            }
+            return name
+        }
+        return token
+    }
+
+    parseUpdate() {
+        let clauses = {SET: [], REMOVE: [], ADD: [], DELETE: []}
+        while (this.peek()) {
+            let clause = this.next().toUpperCase()
+            if (UpdateClauses.indexOf(clause) < 0) {
+                this.fail(`Invalid update clause "${clause}"`)
+            }
+            do {
+                let path = this.parsePath()
+                if (clause == 'SET') {
+                    this.expect('=')
+                    clauses.SET.push({path, value: this.parseSetValue()})
+                } else if (clause == 'REMOVE') {
+                    clauses.REMOVE.push({path})
+                } else {
+                    clauses[clause].push({path, value: this.parseOperand()})
+                }
+            } while (this.accept(','))
+        }
+        return clauses
+    }
+
+    parseSetValue() {
+        let left = this.parseSetOperand()
+        if (this.accept('+')) {
+            return {op: '+', left, right: this.parseSetOperand()}
+        }
+        if (this.accept('-')) {
+            return {op: '-', left, right: this.parseSetOperand()}
+        }
+        return left
+    }
+
+    parseSetOperand() {
+        let token = this.peek()
+        let name = token ? token.toLowerCase() : null
+        if ((name == 'if_not_exists' || name == 'list_append') && this.peek(1) == '(') {
+            this.next()
+            this.expect('(')
+            let args = [name == 'if_not_exists' ? {path: this.parsePath()} : this.parseSetOperand()]
+            this.expect(',')
+            args.push(this.parseSetValue())
+            this.expect(')')
+            return {fn: name, args}
+        }
+        return this.parseOperand()
+    }
+
+    keyword(word) {
+        let token = this.peek()
+        if (token && token.toUpperCase() == word) {
+            this.pos++
+            return true
+        }
+        return false
+    }
+
+    accept(token) {
+        if (this.peek() == token) {
+            this.pos++
+            return true
+        }
+        return false
+    }
+
+    expect(token) {
+        if (!this.accept(token)) {
+            this.fail(`Expected "${token}"`)
+        }
+    }
+
+    next() {
+        return this.tokens[this.pos++]
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.pos + offset]
+    }
+
+    fail(message) {
+        throw serviceError('ValidationException', `Invalid expression: ${message} in "${this.expression}"`)
+    }
+}
+
+function tokenize(expression) {
+    let tokens = []
+    let re = /\s*(<>|<=|>=|[=<>(),.[\]+-]|[#:]?[A-Za-z0-9_]+)/y
+    let match
+    while (re.lastIndex < expression.length) {
+        let start = re.lastIndex
+        match = re.exec(expression)
+        if (!match) {
+            if (expression.slice(start).trim() == '') {
+                break
+            }
+            throw serviceError('ValidationException', `Invalid expression: syntax error near "${expression.slice(start)}"`)
+        }
+        tokens.push(match[1])
+    }
+    return tokens
+}
+
+/*
+    Evaluate a parsed condition against an item
+*/
+function evaluate(node, item, params) {
+    switch (node.op) {
+    case 'and':
+        return evaluate(node.left, item, params) && evaluate(node.right, item, params)
+    case 'or':
+        return evaluate(node.left, item, params) || evaluate(node.right, item, params)
+    case 'not':
+        return !evaluate(node.arg, item, params)
+    case 'between': {
+        let value = operand(node.left, item)
+        return compare(value, operand(node.low, item)) >= 0 && compare(value, operand(node.high, item)) <= 0
+    }
+    case 'in': {
+        let value = operand(node.left, item)
+        return node.list.some(entry => equals(value, operand(entry, item)))
+    }
+    case 'compare': {
+        let left = operand(node.left, item)
+        let right = operand(node.right, item)
+        if (node.comparator == '=') {
+            return equals(left, right)
+        } else if (node.comparator == '<>') {
+            return !equals(left, right)
+        }
+        let order = compare(left, right)
+        if (order == null) {
+            return false
+        }
+        return {'<': order < 0, '<=': order <= 0, '>': order > 0, '>=': order >= 0}[node.comparator]
+    }
+    case 'function':
+        return callFunction(node, item)
+    }
+    return false
+}
+
+function callFunction(node, item) {
+    let [first, second] = node.args
+    let value = operand(first, item)
+    switch (node.name) {
+    case 'attribute_exists':
+        return value !== undefined
+    case 'attribute_not_exists':
+        return value === undefined
+    case 'attribute_type':
+        return value !== undefined && value[operand(second, item).S] !== undefined
+    case 'begins_with': {
+        let prefix = operand(second, item)
+        if (!value || !prefix) {
+            return false
+        }
+        if (value.S !== undefined && prefix.S !== undefined) {
+            return value.S.startsWith(prefix.S)
+        }
+        if (value.B !== undefined && prefix.B !== undefined) {
+            return Buffer.from(value.B).toString('hex').startsWith(Buffer.from(prefix.B).toString('hex'))
+        }
+        return false
+    }
+    case 'contains': {
+        let target = operand(second, item)
+        if (!value || !target) {
+            return false
+        }
+        if (value.S !== undefined) {
+            return target.S !== undefined && value.S.indexOf(target.S) >= 0
+        }
+        if (value.SS) {
+            return value.SS.indexOf(target.S) >= 0
+        }
+        if (value.NS) {
+            return value.NS.some(n => Number(n) == Number(target.N))
+        }
+        if (value.BS) {
+            return value.BS.some(b => equals({B: b}, target))
+        }
+        if (value.L) {
+            return value.L.some(entry => equals(entry, target))
+        }
+        return false
+    }
+    }
+    throw serviceError('ValidationException', `Invalid function name: ${node.name}`)
+}
+
+function operand(node, item) {
+    if (node.value !== undefined) {
+        return node.value
+    }
+    if (node.size) {
+        let value = resolve(item, node.size)
+        if (value === undefined) {
+            return undefined
+        }
+        let [type, data] = Object.entries(value)[0]
+        let size = (type == 'M') ? Object.keys(data).length : (type == 'N' || type == 'BOOL' || type == 'NULL') ? null : data.length
+        return size == null ? undefined : {N: String(size)}
+    }
+    return resolve(item, node.path)
+}
+
+/*
+    Resolve a document path in an item
+*/
+function resolve(item, path) {
+    let value = {M: item}
+    for (let part of path) {
+        if (value === undefined) {
+            return undefined
+        }
+        if (typeof part == 'number') {
+            value = value.L ? value.L[part] : undefined
+        } else {
+            value = value.M ? value.M[part] : undefined
+        }
+    }
+    return value
+}
+
+/*
+    Apply a parsed update expression to an item. Returns the top level attribute names modified.
+*/
+function applyUpdate(item, ast, params, keyNames) {
+    let touched = []
+    let actions = [].concat(ast.SET, ast.REMOVE, ast.ADD, ast.DELETE)
+    for (let action of actions) {
+        if (typeof action.path[0] == 'string' && keyNames.indexOf(action.path[0]) >= 0 && action.path.length == 1) {
+            throw serviceError('ValidationException',
+                `One or more parameter values were invalid: Cannot update attribute ${action.path[0]}. This attribute is part of the key`)
+        }
+        if (touched.indexOf(action.path[0]) < 0) {
+            touched.push(action.path[0])
+        }
+    }
+    //  All operands are evaluated against the item before the update is applied
+    let original = clone(item)
+    let sets = ast.SET.map(action => ({path: action.path, value: setValue(action.value, original)}))
+    for (let {path, value} of sets) {
+        if (value === undefined) {
+            throw serviceError('ValidationException', 'The provided expression refers to an attribute that does not exist in the item')
+        }
+        assignPath(item, path, clone(value))
+    }
+    //  Remove list elements from the highest index down so earlier removals don't shift later ones
+    let removes = ast.REMOVE.slice().sort((a, b) => {
+        let ai = a.path[a.path.length - 1], bi = b.path[b.path.length - 1]
+        return (typeof ai == 'number' && typeof bi == 'number') ? bi - ai : 0
+    })
+    for (let {path} of removes) {
+        removePath(item, path)
+    }
+    for (let {path, value} of ast.ADD) {
+        let addend = operand(value, original)
+        let current = resolve(item, path)
+        if (addend.N !== undefined) {
+            if (current !== undefined && current.N === undefined) {
+                throw serviceError('ValidationException', 'An operand in the update expression has an incorrect data type')
+            }
+            assignPath(item, path, {N: String(Number(current ? current.N : 0) + Number(addend.N))})
+        } else {
+            let type = Object.keys(addend)[0]
+            if (['SS', 'NS', 'BS'].indexOf(type) < 0 || (current !== undefined && current[type] === undefined)) {
+                throw serviceError('ValidationException', 'An operand in the update expression has an incorrect data type')
+            }
+            let list = current ? current[type].slice() : []
+            for (let entry of addend[type]) {
+                if (!list.find(e => equals({[type[0]]: e}, {[type[0]]: entry}))) {
+                    list.push(entry)
+                }
+            }
+            assignPath(item, path, {[type]: list})
+        }
+    }
+    for (let {path, value} of ast.DELETE) {
+        let subtrahend = operand(value, original)
+        let current = resolve(item, path)
+        if (current === undefined) {
+            continue
+        }
+        let type = Object.keys(subtrahend)[0]
+        if (current[type] === undefined) {
+            throw serviceError('ValidationException', 'An operand in the update expression has an incorrect data type')
+        }
+        let list = current[type].filter(e => !subtrahend[type].find(s => equals({[type[0]]: e}, {[type[0]]: s})))
+        if (list.length) {
+            assignPath(item, path, {[type]: list})
+        } else {
+            removePath(item, path)
+        }
+    }
+    return touched
+}
+
+function setValue(node, item) {
+    if (node.op == '+' || node.op == '-') {
+        let left = setValue(node.left, item)
+        let right = setValue(node.right, item)
+        if (!left || !right || left.N === undefined || right.N === undefined) {
+            throw serviceError('ValidationException', 'An operand in the update expression has an incorrect data type')
+        }
+        let result = node.op == '+' ? Number(left.N) + Number(right.N) : Number(left.N) - Number(right.N)
+        return {N: String(result)}
+    }
+    if (node.fn == 'if_not_exists') {
+        let value = resolve(item, node.args[0].path)
+        return value !== undefined ? value : setValue(node.args[1], item)
+    }
+    if (node.fn == 'list_append') {
+        let left = setValue(node.args[0], item)
+        let right = setValue(node.args[1], item)
+        if (!left || !right || !left.L || !right.L) {
+            throw serviceError('ValidationException', 'An operand in the update expression has an incorrect data type')
+        }
+        return {L: left.L.concat(right.L)}
+    }
+    return operand(node, item)
+}
+
+function assignPath(item, path, value) {
+    let parent = path.length > 1 ? resolve(item, path.slice(0, -1)) : {M: item}
+    let last = path[path.length - 1]
+    if (!parent || (typeof last == 'number' ? !parent.L : !parent.M)) {
+        throw serviceError('ValidationException', 'The document path provided in the update expression is invalid for update')
+    }
+    if (typeof last == 'number') {
+        if (last >= parent.L.length) {
+            parent.L.push(value)
+        } else {
+            parent.L[last] = value
+        }
+    } else {
+        parent.M[last] = value
+    }
+}
+
+function removePath(item, path) {
+    let parent = path.length > 1 ? resolve(item, path.slice(0, -1)) : {M: item}
+    if (!parent) {
+        return
+    }
+    let last = path[path.length - 1]
+    if (typeof last == 'number') {
+        if (parent.L && last < parent.L.length) {
+            parent.L.splice(last, 1)
+        }
+    } else if (parent.M) {
+        delete parent.M[last]
+    }
+}
+
+/*
+    Apply a projection expression to an item
+*/
+function project(item, expression, names = {}) {
+    if (!expression) {
+        return clone(item)
+    }
+    let result = {}
+    for (let term of expression.split(',')) {
+        let path = new Parser(term.trim(), {ExpressionAttributeNames: names}).parsePath()
+        let value = resolve(item, path)
+        if (value === undefined) {
+            continue
+        }
+        let target = {M: result}
+        for (let i = 0; i < path.length - 1; i++) {
+            let part = path[i]
+            if (typeof part == 'number') {
+                target.L = target.L || []
+                target = target.L[part] = target.L[part] || (typeof path[i + 1] == 'number' ? {L: []} : {M: {}})
+            } else {
+                target = target.M[part] = target.M[part] || (typeof path[i + 1] == 'number' ? {L: []} : {M: {}})
+            }
+        }
+        let last = path[path.length - 1]
+        if (typeof last == 'number') {
+            target.L.push(clone(value))
+        } else {
+            target.M[last] = clone(value)
+        }
+    }
+    return result
+}
+
+/*
+    Compare two scalar attribute values. Returns null if the types are not comparable.
+*/
+function compare(a, b) {
+    if (!a || !b) {
+        return null
+    }
+    if (a.S !== undefined && b.S !== undefined) {
+        return a.S < b.S ? -1 : (a.S > b.S ? 1 : 0)
+    }
+    if (a.N !== undefined && b.N !== undefined) {
+        return Math.sign(Number(a.N) - Number(b.N))
+    }
+    if (a.B !== undefined && b.B !== undefined) {
+        return Buffer.compare(Buffer.from(a.B), Buffer.from(b.B))
+    }
+    return null
+}
+
+function equals(a, b) {
+    if (a === undefined || b === undefined) {
+        return false
+    }
+    let [ta, va] = Object.entries(a)[0]
+    let [tb, vb] = Object.entries(b)[0]
+    if (ta != tb) {
+        return false
+    }
+    switch (ta) {
+    case 'S':
+    case 'BOOL':
+    case 'NULL':
+        return va === vb
+    case 'N':
+        return Number(va) == Number(vb)
+    case 'B':
+        return Buffer.compare(Buffer.from(va), Buffer.from(vb)) == 0
+    case 'SS':
+    case 'NS':
+    case 'BS':
+        return va.length == vb.length && va.every(x => vb.find(y => equals({[ta[0]]: x}, {[ta[0]]: y})))
+    case 'L':
+        return va.length == vb.length && va.every((x, i) => equals(x, vb[i]))
+    case 'M':
+        return Object.keys(va).length == Object.keys(vb).length && Object.keys(va).every(k => equals(va[k], vb[k]))
+    }
+    return false
+}
+
+function compareItems(a, b, sort) {
+    if (!sort) {
+        return 0
+    }
+    return compare(a[sort], b[sort]) || 0
+}
+
+/*
+    Scan order is by partition (hashed) then by sort key
+*/
+function compareScan(a, b, hash, sort) {
+    let ha = hashOf(a[hash]), hb = hashOf(b[hash])
+    if (ha != hb) {
+        return ha - hb
+    }
+    let order = compare(a[hash], b[hash])
+    if (order) {
+        return order
+    }
+    return compareItems(a, b, sort)
+}
+
+function segmentOf(value, segments) {
+    return hashOf(value) % segments
+}
+
+function hashOf(value) {
+    let s = JSON.stringify(value)
+    let h = 0
+    for (let i = 0; i < s.length; i++) {
+        h = (Math.imul(h, 31) + s.charCodeAt(i)) >>> 0
+    }
+    return h
+}
+
+/*
+    Approximate item size as used for capacity and page size calculations
+*/
+function itemSize(item) {
+    let size = 0
+    for (let [name, value] of Object.entries(item)) {
+        size += name.length + valueSize(value)
+    }
+    return size
+}
+
+function valueSize(value) {
+    let [type, data] = Object.entries(value)[0]
+    switch (type) {
+    case 'S':
+        return Buffer.byteLength(data)
+    case 'N':
+        return Math.ceil(data.length / 2) + 1
+    case 'B':
+        return data.length
+    case 'BOOL':
+    case 'NULL':
+        return 1
+    case 'SS':
+        return data.reduce((total, s) => total + Buffer.byteLength(s), 0)
+    case 'NS':
+        return data.reduce((total, n) => total + Math.ceil(n.length / 2) + 1, 0)
+    case 'BS':
+        return data.reduce((total, b) => total + b.length, 0)
+    case 'L':
+        return 3 + data.reduce((total, v) => total + 1 + valueSize(v), 0)
+    case 'M':
+        return 3 + itemSize(data)
+    }
+    return 0
+}
+
+/*
+    Deep clone attribute values and table definitions
+*/
+function clone(value) {
+    if (value instanceof Uint8Array) {
+        return new Uint8Array(value)
+    }
+    if (value instanceof Date) {
+        return new Date(value)
+    }
+    if (Array.isArray(value)) {
+        return value.map(v => clone(v))
+    }
+    if (value && typeof value == 'object') {
+        let result = {}
+        for (let [key, v] of Object.entries(value)) {
+            if (v !== undefined) {
+                result[key] = clone(v)
+            }
+        }
+        return result
+    }
+    return value
+}
+
+export default MemoryDynamo
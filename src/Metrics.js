@@ -106,6 +106,7 @@ export class Metrics {
             count: result.Count || 1,
             latency: timestamp - mark,
             scanned: result.ScannedCount || 1,
+            retries: result.Retries || 0,
             op, capacity,
         }
         let dimensionValues = {
@@ -149,7 +150,7 @@ export class Metrics {
 
     addMetric(key, values, dimensions, dimensionValues, properties) {
         let rec = this.metrics.counters[key] = this.metrics.counters[key] || {
-            totals: { count: 0, latency: 0, read: 0, requests: 0, scanned: 0, write: 0 },
+            totals: { count: 0, latency: 0, read: 0, requests: 0, retries: 0, scanned: 0, write: 0 },
             dimensions: dimensions.slice(0),
             dimensionValues,
             properties,
@@ -159,6 +160,7 @@ export class Metrics {
         totals.latency += values.latency                    //  Latency in ms
         totals.count += values.count                        //  Item count
         totals.scanned += values.scanned                    //  Items scanned
+        totals.retries += values.retries                    //  Retried requests
         totals.requests++                                   //  Number of requests
     }
 
@@ -0,0 +1,213 @@
+/*
+    Migrate.js - Apply and revert versioned database migrations
+
+    Applied migrations are recorded as _Migration items. A lock item serializes migration runs.
+ */
+
+import {OneError, OneArgError, isConditionFailure} from './Error.js'
+
+const MigrationModel = '_Migration'
+const LockKey = '_migration_lock'
+const LockTimeout = 15 * 60 * 1000
+const ZeroVersion = '0.0.0'
+
+export class Migrate {
+
+    /*
+        Params:
+            migrations - Array of migration modules {version, description, path, up, down}
+            to - Target version. Defaults to the latest migration. Use '0.0.0' to revert all migrations.
+            dryRun - Return the migration plan without invoking migrations or modifying the table.
+            lockTimeout - Milliseconds after which a lock held by another process is considered stale.
+     */
+    constructor(table, params = {}) {
+        this.table = table
+        Object.defineProperty(this, 'table', {enumerable: false})
+        this.params = params
+        this.migrations = this.prepareMigrations(params.migrations || [])
+    }
+
+    /*
+        Migrate up or down to the target version. Returns {from, to, dryRun, steps}.
+     */
+    async migrate() {
+        let {params, table} = this
+        let indexes = await table.getKeys()
+        if (!indexes.primary.sort) {
+            throw new OneArgError('Migrations require a table with a sort key')
+        }
+        let owner = params.dryRun ? null : await this.lock()
+        try {
+            let applied = await this.listApplied()
+            let from = applied.length ? applied[applied.length - 1].version : ZeroVersion
+            let to = this.getTargetVersion(applied)
+            let steps = this.plan(applied, to)
+
+            if (params.dryRun) {
+                for (let step of steps) {
+                    table.log.info(`OneTable migrate dry-run ${step.direction} "${step.version}" ${step.description}`)
+                }
+                return {from, to, dryRun: true, steps}
+            }
+            let model = table.getModel(MigrationModel)
+            for (let step of steps) {
+                let migration = this.migrations.find(m => m.version == step.version)
+                table.log.info(`OneTable migrate ${step.direction} "${step.version}" ${step.description}`)
+                if (step.direction == 'up') {
+                    await migration.up(table, params)
+                    await model.create({
+                        version: migration.version,
+                        description: migration.description,
+                        path: migration.path,
+                        date: new Date(),
+                    }, {exists: null})
+                } else {
+                    await migration.down(table, params)
+                    await model.remove({version: migration.version})
+                }
+            }
+            return {from, to, dryRun: false, steps}
+
+        } finally {
+            if (owner) {
+                await this.unlock(owner)
+            }
+        }
+    }
+
+    /*
+        Return the applied migrations (_Migration items) sorted by version
+     */
+    async listApplied() {
+        await this.table.getKeys()
+        let model = this.table.getModel(MigrationModel)
+        let applied = []
+        for await (let item of model.iterate({})) {
+            applied.push(item)
+        }
+        return applied.sort((a, b) => compareVersions(a.version, b.version))
+    }
+
+    /*
+        Acquire the migration lock. Stale locks that have passed their expiry may be taken over.
+        Returns the lock owner ID.
+     */
+    async lock() {
+        let {params, table} = this
+        let owner = table.ulid()
+        let now = Date.now()
+        let {hash} = table.schema.indexes.primary
+        try {
+            await table.updateItem(this.getLockKey({owner, expires: now + (params.lockTimeout || LockTimeout)}), {
+                exists: null,
+                log: false,
+                where: `attribute_not_exists(\${${hash}}) or \${expires} < @{now}`,
+                substitutions: {now},
+            })
+        } catch (err) {
+            if (isConditionFailure(err)) {
+                throw new OneError('Migrations are locked by another process', {code: 'Lock'})
+            }
+            throw err
+        }
+        return owner
+    }
+
+    async unlock(owner) {
+        try {
+            await this.table.deleteItem(this.getLockKey(), {
+                log: false,
+                where: '${owner} = @{owner}',
+                substitutions: {owner},
+            })
+        } catch (err) {
+            //  Lock expired and was taken over by another process
+            if (!isConditionFailure(err)) {
+                throw err
+            }
+        }
+    }
+
+    /*
+        Validate and sort the migration modules. Modules loaded via import() may provide a default export.
+     */
+    prepareMigrations(migrations) {
+        if (!Array.isArray(migrations)) {
+            throw new OneArgError('Migrations must be an array of migration modules')
+        }
+        let versions = {}
+        let result = migrations.map(m => {
+            let migration = m.default || m
+            let {version} = migration
+            if (!isVersion(version)) {
+                throw new OneArgError(`Invalid migration version "${version}"`)
+            }
+            if (versions[version]) {
+                throw new OneArgError(`Duplicate migration version "${version}"`)
+            }
+            if (typeof migration.up != 'function' || typeof migration.down != 'function') {
+                throw new OneArgError(`Migration "${version}" must define up and down functions`)
+            }
+            versions[version] = true
+            return Object.assign({description: `Migration ${version}`, path: version}, migration)
+        })
+        return result.sort((a, b) => compareVersions(a.version, b.version))
+    }
+
+    getTargetVersion(applied) {
+        let {migrations, params} = this
+        let to = params.to
+        if (to == null || to == 'latest') {
+            let latest = migrations.length ? migrations[migrations.length - 1].version : ZeroVersion
+            let current = applied.length ? applied[applied.length - 1].version : ZeroVersion
+            return compareVersions(latest, current) > 0 ? latest : current
+        }
+        if (to != ZeroVersion && !migrations.find(m => m.version == to) && !applied.find(m => m.version == to)) {
+            throw new OneArgError(`Unknown migration version "${to}"`)
+        }
+        return to
+    }
+
+    /*
+        Revert applied migrations above the target (newest first), then apply outstanding migrations
+        up to and including the target (oldest first).
+     */
+    plan(applied, to) {
+        let steps = []
+        for (let item of applied.slice().reverse()) {
+            if (compareVersions(item.version, to) > 0) {
+                let migration = this.migrations.find(m => m.version == item.version)
+                if (!migration) {
+                    throw new OneArgError(`Cannot find migration "${item.version}" to revert`)
+                }
+                steps.push({version: item.version, description: migration.description, direction: 'down'})
+            }
+        }
+        for (let migration of this.migrations) {
+            if (compareVersions(migration.version, to) <= 0 && !applied.find(m => m.version == migration.version)) {
+                steps.push({version: migration.version, description: migration.description, direction: 'up'})
+            }
+        }
+        return steps
+    }
+
+    getLockKey(properties = {}) {
+        let {hash, sort} = this.table.schema.indexes.primary
+        return Object.assign({[hash]: LockKey, [sort]: LockKey}, properties)
+    }
+}
+
+function isVersion(version) {
+    return typeof version == 'string' && /^\d+\.\d+\.\d+$/.test(version)
+}
+
+function compareVersions(a, b) {
+    let av = a.split('.').map(v => parseInt(v))
+    let bv = b.split('.').map(v => parseInt(v))
+    for (let i = 0; i < 3; i++) {
+        if (av[i] != bv[i]) {
+            return av[i] < bv[i] ? -1 : 1
+        }
+    }
+    return 0
+}
@@ -34,20 +34,38 @@ export type OneIndexSchema = {
     Schema.models.Model.Field signature
  */
 export type OneField = {
+    compute?: (item: AnyEntity, model: AnyModel) => any,    //  Compute a virtual field value.
     crypt?: boolean,
     default?: string | number | boolean | object,
+    email?: boolean,                //  Must be an email address.
     enum?: string[],
     filter?: boolean,
     hidden?: boolean,
+    integer?: boolean,              //  Must be an integer.
+    items?: {                       //  Array item schema
+        type?: OneType,
+        schema?: OneModelSchema,
+    },
     map?: string,
+    max?: number,                   //  Maximum numeric value.
+    maxItems?: number,              //  Maximum number of array items.
+    maxLength?: number,             //  Maximum string length.
+    min?: number,                   //  Minimum numeric value.
+    minItems?: number,              //  Minimum number of array items.
+    minLength?: number,             //  Minimum string length.
     nulls?: boolean,
     required?: boolean,
     type: OneType,
     unique?: boolean,
+    url?: boolean,                  //  Must be a URL.
     uuid?: boolean | string,
-    validate?: RegExp | string | boolean,
+    //  Custom validator returns false or an error message if invalid.
+    validate?: RegExp | string | boolean | ((value: any, properties: OneProperties, field: OneField) => boolean | string | void),
     value?: boolean | string,
+    version?: boolean,
+    virtual?: boolean,              //  Computed on read and never written.
     schema?: OneModelSchema,
+    softDelete?: boolean,
     ttl?: boolean,
 }
 
@@ -58,6 +76,32 @@ export type OneModelSchema = {
     [key: string]: OneField
 };
 
+/*
+    Saved query filter signature
+ */
+export type OneQueryFilter = {
+    field: string,
+    operation: string,
+    combine?: string,               //  And, Or
+    type?: string,
+    value?: any,
+};
+
+/*
+    Saved query signature. Values may contain ${name} references to query arguments.
+ */
+export type OneQuery = {
+    hash?: any,
+    sort?: any,
+    index?: string,
+    limit?: number,
+    model?: string,
+    operation?: string,
+    schema?: string,
+    type?: string,                  //  Entity, Query or Scan
+    filters?: OneQueryFilter[],
+};
+
 /*
     Schema signature
  */
@@ -74,6 +118,27 @@ export type OneSchema = {
     indexes: {
         [key: string]: OneIndexSchema
     },
+    queries?: {
+        [key: string]: OneQuery
+    },
+    relations?: {
+        [model: string]: OneRelations
+    },
+};
+
+/*
+    Model relations. Hash and sort are key templates expanded with the properties of the parent item.
+ */
+export type OneRelation = {
+    hasMany?: string,               //  Name of the related model. Loaded via find.
+    belongsTo?: string,             //  Name of the related model. Loaded via batchGet.
+    hash: string,
+    sort?: string,
+    index?: string,                 //  Index to query for hasMany. Default primary.
+};
+
+export type OneRelations = {
+    [name: string]: OneRelation
 };
 
 /*
@@ -85,7 +150,8 @@ type OneTypedModel = Record<string, OneField>;
     Entity field signature generated from the schema
  */
 type EntityField<T extends OneField> =
-      T['type'] extends ArrayConstructor ? any[]
+      T['items'] extends {schema: OneTypedModel} ? Entity<T['items']['schema']>[]
+    : T['type'] extends ArrayConstructor ? any[]
     : T['type'] extends BooleanConstructor ? boolean
     : T['type'] extends NumberConstructor ? number
     : T['type'] extends ObjectConstructor ? object
@@ -113,7 +179,14 @@ export type Required<T extends OneTypedModel> = {
     Select the optional properties from a model
 */
 export type Optional<T extends OneTypedModel> = {
-    -readonly [P in keyof T as T[P]['required'] extends true ? never : P]?: EntityField<T[P]>
+    -readonly [P in keyof T as T[P]['required'] extends true ? never : (T[P]['virtual'] extends true ? never : P)]?: EntityField<T[P]>
+};
+
+/*
+    Select the virtual (computed) properties from a model. These are read-only.
+*/
+export type Virtual<T extends OneTypedModel> = {
+    readonly [P in keyof T as T[P]['virtual'] extends true ? P : never]?: EntityField<T[P]>
 };
 
 /*
@@ -124,12 +197,12 @@ type Merge<A extends any, B extends any> = {
 };
 
 /*
-    Create entity type which includes required and optional types
+    Create entity type which includes required, optional and virtual types
 
     The following works, but the intellisense types are terrible. Merge does a better job.
     type Entity<T extends OneTypedModel> = Required<T> & Optional<T>
 */
-type Entity<T extends OneTypedModel> = Merge<Required<T>, Optional<T>>
+type Entity<T extends OneTypedModel> = Merge<Required<T>, Merge<Optional<T>, Virtual<T>>>
 
 /*
     Entity Parameters are partial Entities.  Useful for search, update parameters.
@@ -166,11 +239,48 @@ export type AnyEntity = {
     [key: string]: any
 };
 
+/*
+    Lifecycle hooks. "Before" hooks may modify or return replacement properties, or return false to cancel.
+    "After" hooks may modify or return a replacement item.
+ */
+type OneBeforeHook = (model: AnyModel, properties: OneProperties, params: OneParams, prior?: AnyEntity) =>
+    OneProperties | boolean | void | Promise<OneProperties | boolean | void>;
+type OneAfterHook = (model: AnyModel, item: AnyEntity, params: OneParams, prior?: AnyEntity) =>
+    AnyEntity | void | Promise<AnyEntity | void>;
+
+export type OneHooks = {
+    beforeCreate?: OneBeforeHook,
+    afterCreate?: OneAfterHook,
+    beforeUpdate?: OneBeforeHook,
+    afterUpdate?: OneAfterHook,
+    beforeRemove?: OneBeforeHook,
+    afterRemove?: OneAfterHook,
+    afterRead?: OneAfterHook,
+};
+
+/*
+    Change events emitted after successful writes. Listen for a write op or for "change" to receive all writes.
+ */
+export type OneChangeEvent = 'change' | 'put' | 'update' | 'delete';
+
+export type OneChange<T = AnyEntity> = {
+    op: 'put' | 'update' | 'delete',
+    model: AnyModel,
+    key: {[attribute: string]: any},    //  Primary key attributes of the written item.
+    properties: OneProperties,          //  Properties written.
+    item?: T,                           //  Item returned by the write.
+};
+
+export type OneChangeListener<T = AnyEntity> = (change: OneChange<T>) => void | Promise<void>;
+
 type ModelConstructorOptions = {
     fields?: OneModelSchema
+    hooks?: OneHooks,
     indexes?: {
         [key: string]: OneIndexSchema
     },
+    relations?: OneRelations,
+    softDelete?: boolean,
     timestamps?: boolean,
 };
 
@@ -179,29 +289,38 @@ type ModelConstructorOptions = {
  */
 export type OneParams = {
     add?: object,
+    all?: boolean,                  //  Read all pages of a collection.
     batch?: object,
     capacity?: string,
+    checkpoint?: {[segment: number]: object | null},   //  Parallel scan next key for each segment.
     consistent?: boolean,
     context?: object,
     count?: boolean,
     delete?: object,
+    deleted?: boolean,
     execute?: boolean,
     exists?: boolean | null,
     fields?: string[],
     follow?: boolean,
     hidden?: boolean,
+    include?: string | string[],    //  Names of relations to load and attach to the results.
     index?: string,
     limit?: number,
     log?: boolean,
     many?: boolean,
     maxPages?: number,
     next?: object,
+    pages?: boolean,
+    parallel?: boolean | number,    //  Scan params.segments concurrently. Set to a number to limit concurrency.
     parse?: boolean,
     postFormat?: (model: AnyModel, cmd: {}) => {},
     prev?: object,
+    purge?: boolean,
     remove?: string[],
+    retry?: boolean | number | OneRetry,
     return?: string,
     reverse?: boolean,
+    scan?: boolean,
     segment?: number,
     segments?: number,
     select?: string,
@@ -209,12 +328,70 @@ export type OneParams = {
     stats?: object,
     substitutions?: object,
     throw?: boolean,
+    token?: string,
     transform?: (model: AnyModel, op: string, name: string, value: any, properties: OneProperties) => any,
     transaction?: object,
     type?: string,
     tunnel?: object,
     updateIndexes?: boolean,
-    where?: string,
+    where?: string | OneWhere,
+};
+
+/*
+    Object where clause operators for a field
+ */
+export type OneWhereOperators = {
+    '<'?: any,
+    '<='?: any,
+    '='?: any,
+    '<>'?: any,
+    '>='?: any,
+    '>'?: any,
+    begins?: string,
+    begins_with?: string,
+    between?: [any, any],
+    contains?: any,
+    exists?: boolean,
+    in?: any[],
+    size?: number | OneWhereOperators,
+    type?: string,
+};
+
+/*
+    Where clause field names for an entity. Nested fields use dotted names and list elements use [index].
+ */
+type OneWhereField<T> = Extract<keyof T, string> | `${Extract<keyof T, string>}.${string}` |
+    `${Extract<keyof T, string>}[${string}`;
+
+/*
+    Object where clause. Map entries are fields with a value (equality) or operators and are combined with "and".
+    String clauses in and/or/not use the where template syntax.
+ */
+export type OneWhere<T = any> = {
+    and?: (OneWhere<T> | string)[],
+    or?: (OneWhere<T> | string)[],
+    not?: OneWhere<T> | string,
+} & {
+    [field in OneWhereField<T>]?: OneWhereOperators | OneWhere<T> | (OneWhere<T> | string)[] | string | number |
+        boolean | Date | null
+};
+
+/*
+    Params for entity model APIs. The where clause fields are checked against the entity.
+ */
+export type OneEntityParams<T> = Omit<OneParams, 'where'> & {
+    where?: string | OneWhere<T>,
+};
+
+/*
+    Retry policy for transient DynamoDB errors
+ */
+export type OneRetry = {
+    attempts?: number,              //  Maximum attempts including the first request. Default 5.
+    delay?: number,                 //  Base delay in milliseconds. Doubled on each retry. Default 50.
+    maxDelay?: number,              //  Maximum delay in milliseconds. Default 5000.
+    jitter?: number,                //  Proportion of the delay to randomize (0-1). Default 0.5.
+    codes?: string[],               //  Error codes to retry.
 };
 
 /*
@@ -236,18 +413,30 @@ export type AnyModel = {
     find(properties?: OneProperties, params?: OneParams): Promise<Paged<AnyEntity>>;
     get(properties: OneProperties, params?: OneParams): Promise<AnyEntity | undefined>;
     init(properties?: OneProperties, params?: OneParams): AnyEntity;
+    iterate(properties: OneProperties, params: OneParams & {pages: true}): AsyncGenerator<Paged<AnyEntity>>;
+    iterate(properties?: OneProperties, params?: OneParams): AsyncGenerator<AnyEntity>;
+    off(event: OneChangeEvent, fn: OneChangeListener): AnyModel;
+    on(event: OneChangeEvent, fn: OneChangeListener): AnyModel;
+    purge(properties: OneProperties, params?: OneParams): Promise<void>;
     remove(properties: OneProperties, params?: OneParams): Promise<void>;
+    restore(properties: OneProperties, params?: OneParams): Promise<AnyEntity>;
     scan(properties?: OneProperties, params?: OneParams): Promise<Paged<AnyEntity>>;
     update(properties: OneProperties, params?: OneParams): Promise<AnyEntity>;
 };
 
 export class Model<T> {
     constructor(table: any, name: string, options?: ModelConstructorOptions);
-    create(properties: EntityParameters<T>, params?: OneParams): Promise<T>;
-    find(properties?: EntityParametersForFind<T>, params?: OneParams): Promise<Paged<T>>;
-    get(properties: EntityParameters<T>, params?: OneParams): Promise<T | undefined>;
-    init(properties?: EntityParameters<T>, params?: OneParams): T;
-    remove(properties: EntityParameters<T>, params?: OneParams): Promise<void>;
-    scan(properties?: EntityParameters<T>, params?: OneParams): Promise<Paged<T>>;
-    update(properties: EntityParameters<T>, params?: OneParams): Promise<T>;
+    create(properties: EntityParameters<T>, params?: OneEntityParams<T>): Promise<T>;
+    find(properties?: EntityParametersForFind<T>, params?: OneEntityParams<T>): Promise<Paged<T>>;
+    get(properties: EntityParameters<T>, params?: OneEntityParams<T>): Promise<T | undefined>;
+    init(properties?: EntityParameters<T>, params?: OneEntityParams<T>): T;
+    iterate(properties: EntityParametersForFind<T>, params: OneEntityParams<T> & {pages: true}): AsyncGenerator<Paged<T>>;
+    iterate(properties?: EntityParametersForFind<T>, params?: OneEntityParams<T>): AsyncGenerator<T>;
+    off(event: OneChangeEvent, fn: OneChangeListener<T>): Model<T>;
+    on(event: OneChangeEvent, fn: OneChangeListener<T>): Model<T>;
+    purge(properties: EntityParameters<T>, params?: OneEntityParams<T>): Promise<void>;
+    remove(properties: EntityParameters<T>, params?: OneEntityParams<T>): Promise<void>;
+    restore(properties: EntityParameters<T>, params?: OneEntityParams<T>): Promise<T>;
+    scan(properties?: EntityParameters<T>, params?: OneEntityParams<T>): Promise<Paged<T>>;
+    update(properties: EntityParameters<T>, params?: OneEntityParams<T>): Promise<T>;
 }
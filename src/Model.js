@@ -4,7 +4,7 @@
     A model represents a DynamoDB single-table entity.
 */
 import {Expression} from './Expression.js'
-import {OneError, OneArgError} from './Error.js'
+import {OneError, OneArgError, isConditionFailure} from './Error.js'
 
 /*
     Ready / write tags for interceptions
@@ -22,8 +22,14 @@ const KeysOnly = { delete: true, get: true }
 const TransactOps = { delete: 'Delete', get: 'Get', put: 'Put', update: 'Update' }
 const BatchOps = { delete: 'DeleteRequest', put: 'PutRequest', update: 'PutRequest' }
 const ValidTypes = [ 'array', 'binary', 'boolean', 'buffer', 'date', 'number', 'object', 'set', 'string' ]
+const ValidationRules = [ 'email', 'integer', 'max', 'maxItems', 'maxLength', 'min', 'minItems', 'minLength', 'url' ]
+const EmailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
 const SanityPages = 1000
-const FollowThreads = 10
+const DeletedField = 'deleted'
+const IncludeThreads = 10
+
+//  Table wide internal models that are not partitioned by tenant
+const TenantExempt = ['_Migration', '_Schema']
 
 export class Model {
 
@@ -63,6 +69,12 @@ export class Model {
             this.timestamps = table.timestamps
         }
         this.updatedField = table.updatedField
+        this.versionField = null
+        this.deletedField = null
+        this.softDelete = options.softDelete
+        this.hooks = options.hooks
+        this.listeners = {}
+        this.relations = options.relations
         this.block = {fields: {}, deps: []}
 
         /*
@@ -105,6 +117,10 @@ export class Model {
                 schemaFields[this.createdField] = schemaFields[this.createdField] || { type: Date }
                 schemaFields[this.updatedField] = schemaFields[this.updatedField] || { type: Date }
             }
+            if (this.softDelete && !Object.values(schemaFields).find(f => f.softDelete)) {
+                schemaFields[DeletedField] = schemaFields[DeletedField] || { type: Date }
+                this.deletedField = DeletedField
+            }
         }
         let {indexes, table} = this
         let primary = indexes.primary
@@ -175,7 +191,37 @@ export class Model {
                     }
                 }
             }
-            if (field.value) {
+            if (field.version) {
+                //  Optimistic locking version number
+                if (prefix || field.type != 'number') {
+                    throw new OneArgError(`Version field "${pathname}" in model "${this.name}" must be a top level Number`)
+                }
+                if (this.versionField) {
+                    throw new OneArgError(`Model "${this.name}" has multiple version fields`)
+                }
+                this.versionField = name
+            }
+            if (field.softDelete) {
+                //  Soft delete timestamp
+                if (prefix || field.type != 'date') {
+                    throw new OneArgError(`Soft delete field "${pathname}" in model "${this.name}" must be a top level Date`)
+                }
+                this.deletedField = name
+            }
+            if (ValidationRules.find(rule => field[rule] != null && field[rule] !== false)) {
+                field.hasRules = true
+            }
+            if (field.virtual) {
+                //  Computed when read and never written
+                if (field.isIndexed || field.unique || field.required || field.map) {
+                    throw new OneArgError(
+                        `Virtual field "${pathname}" in model "${this.name}" cannot be indexed, unique, required or mapped`)
+                }
+                if (typeof field.compute != 'function' && typeof field.value != 'string') {
+                    throw new OneArgError(
+                        `Virtual field "${pathname}" in model "${this.name}" requires a "value" template or "compute" function`)
+                }
+            } else if (field.value) {
                 //  Value template properties are hidden by default
                 if (field.hidden == null) {
                     field.hidden = table.hidden != null ? table.hidden : true
@@ -184,12 +230,13 @@ export class Model {
             /*
                 Handle nested schema (recursive)
             */
+            if (field.type == 'array' && field.items && field.items.schema) {
+                field.schema = field.items.schema
+            }
             if (field.schema) {
-                if (field.type == 'array') {
-                    throw new OneArgError(`Array types do not (yet) support nested schemas for field "${field.name}" in model "${this.name}"`)
-                }
-                if (field.type == 'object') {
-                    field.block = {deps: [], fields: {}}
+                if (field.type == 'object' || field.type == 'array') {
+                    //  Array item blocks describe each element of the array
+                    field.block = {deps: [], fields: {}, items: field.type == 'array'}
                     this.prepModel(field.schema, field.block, name)
                     this.nested = true
                 } else {
@@ -284,7 +331,14 @@ export class Model {
                 params.expression = expression
                 let items = t.TransactItems = t.TransactItems || []
                 items.push({[top]: cmd})
-                return this.transformReadItem(op, properties, properties, params)
+                //  Model names for transaction cancellation reasons. Not enumerable so it is not sent to DynamoDB.
+                if (!t.models) {
+                    Object.defineProperty(t, 'models', {value: [], enumerable: false})
+                }
+                t.models[items.length - 1] = this.name
+                let item = this.transformReadItem(op, properties, properties, params)
+                this.emitChange(op, expression, item, t)
+                return item
             } else {
                 throw new OneArgError(`Unknown transaction operation ${op}`)
             }
@@ -305,7 +359,9 @@ export class Model {
                 let list = ritems[this.tableName] = ritems[this.tableName] || []
                 let bop = BatchOps[op]
                 list.push({[bop]: cmd})
-                return this.transformReadItem(op, properties, properties, params)
+                let item = this.transformReadItem(op, properties, properties, params)
+                this.emitChange(op, expression, item, b)
+                return item
             }
         }
         /*
@@ -325,7 +381,16 @@ export class Model {
         let maxPages = params.maxPages ? params.maxPages : SanityPages
         let result
         do {
-            result = await this.table.execute(this.name, op, cmd, properties, params)
+            try {
+                result = await this.table.execute(this.name, op, cmd, properties, params)
+            } catch (err) {
+                if (expression.versioned && isConditionFailure(err)) {
+                    throw new OneError(`Version conflict for "${op}" on "${this.name}"`, {
+                        code: 'VersionConflict', properties, err,
+                    })
+                }
+                throw err
+            }
             if (result.LastEvaluatedKey) {
                 //  Continue next page
                 cmd.ExclusiveStartKey = result.LastEvaluatedKey
@@ -359,6 +424,184 @@ export class Model {
             }
         } while (result.LastEvaluatedKey && (maxPages == null || ++pages < maxPages))
 
+        let follow = params.follow || (index.follow && params.follow !== false)
+        items = this.formatPage(op, expression, items, result, follow && op != 'scan')
+
+        /*
+            Log unless the user provides params.log: false.
+            The logger will typically filter data/trace.
+        */
+        if (params.log !== false) {
+            this.table.log[params.log ? 'info' : 'data'](`OneTable result for "${op}" "${this.name}"`, {
+                cmd, items, op, properties, params,
+            })
+        }
+
+        /*
+            Handle transparent follow. Get/Update/Find the actual item using the keys
+            returned from the request on the GSI.
+        */
+        if (!follow || op == 'scan') {
+            items = await this.readHooks(items, expression)
+            this.emitChange(op, expression, items[0])
+        }
+        if (follow) {
+            if (op == 'get') {
+                return await this.get(items[0])
+            }
+            if (op == 'update') {
+                properties = Object.assign({}, properties, items[0])
+                return await this.update(properties)
+            }
+            if (op == 'find') {
+                return await this.followItems(items, params)
+            }
+        }
+        return (op == 'find' || op == 'scan') ? items : items[0]
+    }
+
+    /*
+        Run a find or scan and return an async iterator that yields each page of results as it is read.
+        Unlike run(), pages are not accumulated so memory use is bounded by the page size.
+     */
+    async * runPages(op, expression) {
+        let {index, properties, params} = expression
+
+        if (params.transaction || params.batch) {
+            throw new OneArgError('Cannot iterate with batch or transaction')
+        }
+        let cmd = expression.command()
+        if (!expression.execute) {
+            yield cmd
+            return
+        }
+        let stats = params.stats
+        if (stats && typeof stats == 'object') {
+            stats.count = stats.count || 0
+            stats.scanned = stats.scanned || 0
+            stats.capacity = stats.capacity || 0
+        }
+        let follow = op == 'find' && (params.follow || (index.follow && params.follow !== false))
+        let pages = 0
+        let result
+        do {
+            result = await this.table.execute(this.name, op, cmd, properties, params)
+            if (result.LastEvaluatedKey) {
+                cmd.ExclusiveStartKey = result.LastEvaluatedKey
+            }
+            if (stats) {
+                stats.count += result.Count
+                stats.scanned += result.ScannedCount
+                if (result.ConsumedCapacity) {
+                    stats.capacity += result.ConsumedCapacity.CapacityUnits
+                }
+            }
+            let items = this.formatPage(op, expression, result.Items || [], result, follow)
+
+            if (params.log !== false) {
+                this.table.log[params.log ? 'info' : 'data'](`OneTable page for "${op}" "${this.name}"`, {
+                    cmd, items, op, properties, params, pages,
+                })
+            }
+            if (follow) {
+                items = await this.followItems(items, params)
+            } else {
+                items = await this.readHooks(items, expression)
+            }
+            yield items
+
+            if (cmd.Limit) {
+                cmd.Limit -= result.Count
+                if (cmd.Limit <= 0) {
+                    break
+                }
+            }
+        } while (result.LastEvaluatedKey && (params.maxPages == null || ++pages < params.maxPages))
+    }
+
+    /*
+        Run a parallel scan and return the items of all segments in segment order
+     */
+    async scanParallel(properties, params) {
+        let results = []
+        for await (let page of this.scanSegments(properties, params)) {
+            let list = results[page.segment] = results[page.segment] || []
+            list.push(...(Array.isArray(page) ? page : [page]))
+        }
+        return results.flat()
+    }
+
+    /*
+        Scan the params.segments segments of a parallel scan concurrently and yield each page as it is read.
+        Set params.parallel to true to scan all segments at once, or to a number to limit the concurrent segments.
+        If params.checkpoint is set to an object, the next key for each segment is saved in the checkpoint when the
+        following page is requested, or null if the segment is complete. A scan using the same checkpoint resumes
+        from the saved keys and skips complete segments. Each page has a non-enumerable "segment" property.
+     */
+    async * scanSegments(properties, params) {
+        let {checkpoint, segments} = params
+        if (!Number.isInteger(segments) || segments < 1) {
+            throw new OneArgError('Parallel scan requires a "segments" count')
+        }
+        if (params.segment != null) {
+            throw new OneArgError('Cannot use "segment" with a parallel scan')
+        }
+        let limit = params.parallel === true ? segments : params.parallel
+        let queue = []
+        for (let segment = 0; segment < segments; segment++) {
+            if (!checkpoint || checkpoint[segment] !== null) {
+                queue.push(segment)
+            }
+        }
+        let running = new Map()
+        let read = (segment, pages) => {
+            let promise = pages.next().then(result => ({segment, result}))
+            running.set(segment, {pages, promise})
+        }
+        let start = () => {
+            let segment = queue.shift()
+            let next = checkpoint ? checkpoint[segment] : undefined
+            let segmentParams = Object.assign({}, params, {segment, parallel: false, next})
+            let expression = new Expression(this, 'scan', this.prepareProperties('scan', properties, segmentParams), segmentParams)
+            read(segment, this.runPages('scan', expression))
+        }
+        try {
+            while (queue.length && running.size < limit) {
+                start()
+            }
+            while (running.size) {
+                let {segment, result} = await Promise.race(Array.from(running.values(), r => r.promise))
+                let {pages} = running.get(segment)
+                if (result.done) {
+                    running.delete(segment)
+                    if (queue.length) {
+                        start()
+                    }
+                    continue
+                }
+                let page = result.value
+                Object.defineProperty(page, 'segment', {value: segment, enumerable: false})
+                //  Read ahead while the page is consumed
+                read(segment, pages)
+                yield page
+                if (checkpoint) {
+                    checkpoint[segment] = page.next || null
+                }
+            }
+        } finally {
+            for (let {pages, promise} of running.values()) {
+                promise.catch(() => null)
+                pages.return().catch(() => null)
+            }
+        }
+    }
+
+    /*
+        Parse a page of find/scan items and define the next/prev/count pagination properties.
+        Set follow if the items will be followed to the primary index.
+     */
+    formatPage(op, expression, items, result, follow) {
+        let {index, params} = expression
         let prev
         if ((op == 'find' || op == 'scan') && items.length) {
             let {hash, sort} = index
@@ -372,7 +615,7 @@ export class Model {
             Process the response
         */
         if (params.parse) {
-            items = this.parseResponse(op, expression, items)
+            items = this.parseResponse(op, expression, items, follow)
         }
 
         /*
@@ -397,61 +640,210 @@ export class Model {
                 let tmp = items.prev ; items.prev = items.next ; items.next = tmp
             }
         }
+        return items
+    }
 
-        /*
-            Log unless the user provides params.log: false.
-            The logger will typically filter data/trace.
-        */
-        if (params.log !== false) {
-            this.table.log[params.log ? 'info' : 'data'](`OneTable result for "${op}" "${this.name}"`, {
-                cmd, items, op, properties, params,
-            })
+    /*
+        Load the related items named by params.include and attach them to the items.
+        A "hasMany" relation is loaded with a query per item. A "belongsTo" relation is loaded with a batch get.
+     */
+    async includeRelated(items, params) {
+        let names = Array.isArray(params.include) ? params.include : [params.include]
+        for (let name of names) {
+            let relation = this.relations ? this.relations[name] : null
+            if (!relation || !(relation.hasMany || relation.belongsTo) || !relation.hash) {
+                throw new OneArgError(`Unknown or invalid relation "${name}" for model "${this.name}"`)
+            }
+            let model = this.table.getModel(relation.hasMany || relation.belongsTo)
+            let related = {context: params.context, hidden: params.hidden, log: params.log}
+            if (relation.hasMany) {
+                await this.includeMany(model, name, relation, items, related)
+            } else {
+                await this.includeOne(model, name, relation, items, related)
+            }
         }
+        return items
+    }
 
-        /*
-            Handle transparent follow. Get/Update/Find the actual item using the keys
-            returned from the request on the GSI.
-        */
-        if (params.follow || (index.follow && params.follow !== false)) {
-            if (op == 'get') {
-                return await this.get(items[0])
+    async includeMany(model, name, relation, items, params) {
+        let index = this.indexes[relation.index || 'primary']
+        if (!index) {
+            throw new OneArgError(`Cannot find index "${relation.index}" for relation "${name}" in model "${this.name}"`)
+        }
+        if (relation.index) {
+            params.index = relation.index
+        }
+        //  Limit the number of concurrent finds. Wait for all finds to settle before reporting any failure.
+        for (let i = 0; i < items.length; i += IncludeThreads) {
+            let results = await Promise.allSettled(items.slice(i, i + IncludeThreads).map(async item => {
+                let hash = this.expandRelation(relation.hash, item)
+                if (hash == null) {
+                    return
+                }
+                let properties = {[index.hash]: hash}
+                if (relation.sort && index.sort) {
+                    let sort = this.expandRelation(relation.sort, item)
+                    if (sort == null) {
+                        return
+                    }
+                    properties[index.sort] = {begins: sort}
+                }
+                item[name] = await model.find(properties, Object.assign({}, params))
+            }))
+            let failed = results.find(r => r.status == 'rejected')
+            if (failed) {
+                throw failed.reason
             }
-            if (op == 'update') {
-                properties = Object.assign({}, properties, items[0])
-                return await this.update(properties)
+        }
+    }
+
+    async includeOne(model, name, relation, items, params) {
+        let {hash, sort} = this.indexes.primary
+        let batch = {}
+        let keys = new Map(), related = new Map()
+        for (let item of items) {
+            let values = [this.expandRelation(relation.hash, item)]
+            if (sort) {
+                values.push(this.expandRelation(relation.sort, item))
             }
-            if (op == 'find') {
-                let results = [], promises = []
-                params = Object.assign({}, params)
-                delete params.follow
-                delete params.index
-                delete params.fallback
-                for (let item of items) {
-                    promises.push(this.get(item, params))
-                    if (promises.length > FollowThreads) {
-                        results = results.concat(await Promise.all(promises))
-                        promises = []
+            if (values.indexOf(null) >= 0) {
+                continue
+            }
+            let key = JSON.stringify(values)
+            if (!related.has(key)) {
+                //  DynamoDB rejects duplicate keys in a batch
+                related.set(key, undefined)
+                let properties = sort ? {[hash]: values[0], [sort]: values[1]} : {[hash]: values[0]}
+                await model.get(properties, {batch, context: params.context})
+            }
+            keys.set(item, key)
+        }
+        if (related.size > 0) {
+            let found = await this.table.batchGet(batch, Object.assign({}, params, {parse: true, hidden: true}))
+            for (let rec of found) {
+                let key = JSON.stringify(sort ? [rec[hash], rec[sort]] : [rec[hash]])
+                if (rec[this.typeField] == model.name && related.has(key)) {
+                    related.set(key, params.hidden ? rec : model.removeHidden(rec))
+                }
+            }
+        }
+        for (let [item, key] of keys) {
+            item[name] = related.get(key)
+        }
+    }
+
+    /*
+        Expand a relation key template using the item properties. Returns null if a property is missing.
+     */
+    expandRelation(template, item) {
+        if (template == null) {
+            return null
+        }
+        let missing = false
+        let value = template.replace(/\${(.*?)}/g, (match, name) => {
+            let v = item
+            for (let part of name.split('.')) {
+                v = v != null ? v[part] : undefined
+            }
+            if (v == null) {
+                missing = true
+            }
+            return v
+        })
+        return missing ? null : value
+    }
+
+    //  Remove hidden fields that were read to match related items
+    removeHidden(rec) {
+        for (let [name, field] of Object.entries(this.block.fields)) {
+            if (field.hidden) {
+                delete rec[name]
+            }
+        }
+        return rec
+    }
+
+    /*
+        Get the full items for the keys returned by a find on a GSI.
+     */
+    async followItems(items, params) {
+        let results = []
+        params = Object.assign({}, params)
+        delete params.follow
+        delete params.index
+        delete params.fallback
+        delete params.include
+
+        //  Queue a batch get for the primary key of each item. Duplicate keys are not permitted in a batch.
+        let {hash, sort} = this.indexes.primary
+        let keyOf = (item) => JSON.stringify(sort ? [item[hash], item[sort]] : [item[hash]])
+        let batch = {}
+        for (let item of items) {
+            await this.get(item, Object.assign({}, params, {batch}))
+        }
+        let def = batch.RequestItems ? batch.RequestItems[this.tableName] : null
+        if (def) {
+            let requested = def.Keys.map(key => keyOf(key))
+            let keys = new Map()
+            for (let [index, key] of def.Keys.entries()) {
+                keys.set(requested[index], key)
+            }
+            def.Keys = Array.from(keys.values())
+
+            let fields, strip
+            if (params.fields) {
+                //  Must project the keys to match the items with the requested keys
+                fields = new Set([hash, sort, this.typeField].filter(f => f))
+                let names = params.fields.slice()
+                if (this.deletedField && !params.deleted && names.indexOf(this.deletedField) < 0) {
+                    //  Must project the deleted field to drop soft deleted items
+                    names.push(this.deletedField)
+                    strip = this.deletedField
+                }
+                for (let name of names) {
+                    let field = this.block.fields[name]
+                    if (field && !field.virtual) {
+                        fields.add(field.attribute[0])
                     }
                 }
-                if (promises.length) {
-                    results = results.concat(await Promise.all(promises))
+                fields = Array.from(fields)
+            }
+            let response = await this.table.batchGet(batch, Object.assign({}, params, {fields, parse: false}))
+            let raw = (response.Responses && response.Responses[this.tableName]) || []
+
+            //  Parse a copy as the raw items are unmarshalled in place
+            let expression = {properties: {}, params}
+            let parsed = await this.readHooks(this.parseResponse('get', expression, raw.slice()), expression)
+            let found = new Map()
+            for (let [index, item] of raw.entries()) {
+                found.set(keyOf(item), parsed[index])
+            }
+            //  Preserve the index order and drop items deleted since the index was read
+            for (let key of requested) {
+                let item = found.get(key)
+                if (item && !(this.deletedField && !params.deleted && item[this.deletedField] != null)) {
+                    if (strip) {
+                        delete item[strip]
+                    }
+                    results.push(item)
                 }
-                results.next = items.next
-                results.prev = items.prev
-                Object.defineProperty(results, 'next', {enumerable: false})
-                Object.defineProperty(results, 'prev', {enumerable: false})
-                return results
             }
         }
-        return (op == 'find' || op == 'scan') ? items : items[0]
+        results.next = items.next
+        results.prev = items.prev
+        Object.defineProperty(results, 'next', {enumerable: false})
+        Object.defineProperty(results, 'prev', {enumerable: false})
+        return results
     }
 
     /*
         Parse the response into Javascript objects and transform for the high level API.
+        Set follow to retain the hidden key attributes required to follow the items.
      */
-    parseResponse(op, expression, items) {
+    parseResponse(op, expression, items, follow) {
         let {properties, params} = expression
         let {schema, table} = this
+        let readParams = follow && params.follow !== true ? Object.assign({}, params, {follow: true}) : params
         if (op == 'put') {
             //  Put requests do not return the item. So use the properties.
             items = [properties]
@@ -470,7 +862,13 @@ export class Model {
                     //  Special "unique" model for unique fields. Don't return in result.
                     continue
                 }
-                items[index] = model.transformReadItem(op, item, properties, params)
+                model = table.bindModel(model)
+                items[index] = model.transformReadItem(op, item, properties, readParams)
+                if (ReadWrite[op] == 'read' && model.hasHook('afterRead')) {
+                    //  Hooks are async and are invoked after the page is formatted
+                    expression.readModels = expression.readModels || new Map()
+                    expression.readModels.set(items[index], model)
+                }
             }
         }
         return items
@@ -481,13 +879,162 @@ export class Model {
     */
     async create(properties, params = {}) {
         ({properties, params} = this.checkArgs(properties, params, {parse: true, high: true, exists: false}))
+        let pending = params.transaction || params.batch
+        if (this.hasHook('beforeCreate')) {
+            //  Only await when required so batched requests are queued synchronously
+            properties = await this.beforeHook('beforeCreate', properties, params)
+        }
         let result
         if (this.hasUniqueFields) {
             result = await this.createUnique(properties, params)
         } else {
             result = await this.putItem(properties, params)
         }
-        return result
+        return await this.afterHook('afterCreate', result, params, undefined, pending)
+    }
+
+    /*
+        Return the lifecycle hooks for the model. Hooks are defined via the Model "hooks" option or via the
+        Table "hooks" param keyed by model name.
+     */
+    getHooks() {
+        return this.hooks || (this.table.hooks && this.table.hooks[this.name]) || null
+    }
+
+    hasHook(name) {
+        let hooks = this.getHooks()
+        return hooks && typeof hooks[name] == 'function' ? true : false
+    }
+
+    /*
+        Invoke a "before" hook. The hook may modify the properties, return replacement properties,
+        or return false to cancel the operation.
+     */
+    async beforeHook(name, properties, params, prior) {
+        if (!this.hasHook(name)) {
+            return properties
+        }
+        let result = await this.getHooks()[name](this, properties, params, prior)
+        if (result === false) {
+            throw new OneError(`Operation cancelled by "${name}" hook for "${this.name}"`, {
+                code: 'Cancelled', properties,
+            })
+        }
+        return result && typeof result == 'object' ? result : properties
+    }
+
+    /*
+        Invoke an "after" hook. The hook may modify the item or return a replacement item. For batch and
+        transaction requests, the hook is deferred until Table.batchWrite or Table.transact succeeds.
+     */
+    async afterHook(name, item, params, prior, pending) {
+        if (!this.hasHook(name) || params.execute === false) {
+            return item
+        }
+        if (pending) {
+            if (!pending.hooks) {
+                //  Not enumerable so it is not sent to DynamoDB
+                Object.defineProperty(pending, 'hooks', {value: [], enumerable: false})
+            }
+            pending.hooks.push({model: this, name, item, params, prior})
+            return item
+        }
+        let result = await this.getHooks()[name](this, item, params, prior)
+        return result !== undefined ? result : item
+    }
+
+    /*
+        Invoke the "afterRead" hooks for the items parsed by parseResponse
+     */
+    async readHooks(items, expression) {
+        let models = expression.readModels
+        if (!models || !Array.isArray(items)) {
+            return items
+        }
+        for (let [index, item] of items.entries()) {
+            let model = models.get(item)
+            if (model) {
+                items[index] = await model.afterHook('afterRead', item, expression.params)
+            }
+        }
+        expression.readModels = null
+        return items
+    }
+
+    /*
+        Subscribe to successful writes via this model. The event is the write op: "put", "update" or "delete",
+        or "change" for all writes. Views of the model used by child tables share the listeners.
+     */
+    on(event, fn) {
+        let listeners = this.listeners[event] = this.listeners[event] || []
+        listeners.push(fn)
+        return this
+    }
+
+    off(event, fn) {
+        let listeners = this.listeners[event]
+        if (listeners) {
+            let index = listeners.indexOf(fn)
+            if (index >= 0) {
+                listeners.splice(index, 1)
+            }
+        }
+        return this
+    }
+
+    hasListeners() {
+        return Object.values(this.listeners).some(l => l.length > 0) || this.table.hasListeners()
+    }
+
+    /*
+        Emit a change event for a successful write. For batch and transaction requests, the event is deferred
+        until Table.batchWrite or Table.transact succeeds. Writes of internal unique items are not emitted.
+        Soft deletes are emitted as "delete" as they remove the item from reads.
+     */
+    emitChange(op, expression, item, pending) {
+        if (ReadWrite[op] != 'write' || this.name == this.schema.uniqueModel.name || !this.hasListeners()) {
+            return
+        }
+        if (op == 'update' && expression.params.softRemove) {
+            op = 'delete'
+        }
+        let {hash, sort} = expression
+        let source = Object.keys(expression.key).length ? expression.key : expression.values
+        let key = {[hash]: source[hash]}
+        if (sort) {
+            key[sort] = source[sort]
+        }
+        let change = {op, model: this, key, properties: expression.properties, item}
+        if (pending) {
+            if (!pending.changes) {
+                //  Not enumerable so it is not sent to DynamoDB
+                Object.defineProperty(pending, 'changes', {value: [], enumerable: false})
+            }
+            pending.changes.push(change)
+            return
+        }
+        this.table.emitChange(change)
+    }
+
+    /*
+        Return the names of the unique fields whose unique items failed their condition in a cancelled transaction.
+        If no unique item failed, all the unique field names are returned.
+     */
+    getUniqueConflicts(fields, reasons, params) {
+        let keys = reasons.filter(r => r.reason == 'ConditionalCheckFailed' && r.key).map(r => Object.values(r.key))
+        let tenant = this.getTenantPrefix(params) || ''
+        let conflicts = fields.filter(field => {
+            let prefix = `${tenant}_unique#${this.name}#${field.attribute}#`
+            return keys.find(values => values.find(v => typeof v == 'string' && v.startsWith(prefix)))
+        })
+        return (conflicts.length ? conflicts : fields).map(f => f.name)
+    }
+
+    /*
+        Return the unique model bound to the same table (or child table) as this model
+     */
+    getUniqueModel() {
+        return this.table.bindModel(this.schema.uniqueModel)
     }
 
     /*
@@ -513,7 +1060,9 @@ export class Model {
             if (properties[field.name]) {
                 let pk = `_unique#${this.name}#${field.attribute}#${properties[field.name]}`
                 let sk = '_unique#'
-                await this.schema.uniqueModel.create({[this.hash]: pk,[this.sort]: sk}, {transaction, exists: false, return: 'NONE'})
+                await this.getUniqueModel().create({[this.hash]: pk,[this.sort]: sk}, {
+                    transaction, exists: false, return: 'NONE', context: params.context,
+                })
             }
         }
         let item = await this.putItem(properties, params)
@@ -525,11 +1074,12 @@ export class Model {
         try {
             await this.table.transact('write', params.transaction, params)
         } catch (err) {
-            if (err.message.indexOf('ConditionalCheckFailed') >= 0) {
-                let names = fields.map(f => f.name).join(', ')
-                throw new OneError(`Cannot create unqiue attributes "${names}" for "${this.name}", ` +
+            if (err.code == 'TransactionCanceledError' &&
+                    err.context.reasons.find(r => r.reason == 'ConditionalCheckFailed')) {
+                let names = this.getUniqueConflicts(fields, err.context.reasons, params).join(', ')
+                throw new OneError(`Cannot create unique attributes "${names}" for "${this.name}", ` +
                                    `an item of the same name already exists.`,
-                                   {properties, transaction, code: 'Unique'})
+                                   {properties, transaction, reasons: err.context.reasons, code: 'Unique'})
             }
             throw err
         }
@@ -539,7 +1089,11 @@ export class Model {
 
     async find(properties = {}, params = {}) {
         ({properties, params} = this.checkArgs(properties, params, {parse: true, high: true}))
-        return await this.queryItems(properties, params)
+        let items = await this.queryItems(properties, params)
+        if (params.include && Array.isArray(items) && params.execute !== false) {
+            await this.includeRelated(items, params)
+        }
+        return items
     }
 
     async get(properties = {}, params = {}) {
@@ -556,7 +1110,16 @@ export class Model {
         }
         //  FUTURE refactor to use getItem
         let expression = new Expression(this, 'get', properties, params)
-        return await this.run('get', expression)
+        let item = await this.run('get', expression)
+        if (this.deletedField && !params.deleted && params.parse && item && item[this.deletedField] != null &&
+                expression.execute && !params.transaction && !params.batch) {
+            //  Soft deleted
+            return undefined
+        }
+        if (params.include && item && expression.execute && !params.transaction && !params.batch) {
+            await this.includeRelated([item], params)
+        }
+        return item
     }
 
     init(properties = {}, params = {}) {
@@ -564,26 +1127,76 @@ export class Model {
         return this.initItem(properties, params)
     }
 
+    /*
+        Iterate over find (or scan if params.scan) results. Yields parsed items, or pages if params.pages is true.
+        Use with "for await" to process very large result sets without reading them all into memory.
+     */
+    async * iterate(properties = {}, params = {}) {
+        ({properties, params} = this.checkArgs(properties, params, {parse: true, high: true}))
+        let op = params.scan ? 'scan' : 'find'
+        let pages
+        if (op == 'scan' && params.parallel) {
+            pages = this.scanSegments(properties, params)
+        } else {
+            properties = this.prepareProperties(op, properties, params)
+            let expression = new Expression(this, op, properties, params)
+            pages = this.runPages(op, expression)
+        }
+        for await (let page of pages) {
+            if (params.pages || params.execute === false) {
+                yield page
+            } else {
+                yield * page
+            }
+        }
+    }
+
     async remove(properties, params = {}) {
         ({properties, params} = this.checkArgs(properties, params, {exists: null, high: true}))
 
-        properties = this.prepareProperties('delete', properties, params)
+        let prepared = this.prepareProperties('delete', properties, params)
         if (params.fallback) {
-            return await this.removeByFind(properties, params)
+            //  Hooks are invoked for each item removed
+            return await this.removeByFind(prepared, params)
         }
-        let expression = new Expression(this, 'delete', properties, params)
-        if (this.hasUniqueFields) {
-            await this.removeUnique(properties, params)
+        let pending = params.transaction || params.batch
+        let prior
+        if (this.hasHook('beforeRemove') || this.hasHook('afterRemove')) {
+            prior = await this.getPrior(properties, params)
+            let args = await this.beforeHook('beforeRemove', properties, params, prior)
+            if (args !== properties) {
+                prepared = this.prepareProperties('delete', args, params)
+            }
+        }
+        properties = prepared
+        if (this.deletedField && !params.purge) {
+            await this.softRemove(properties, params)
         } else {
-            await this.run('delete', expression)
+            let expression = new Expression(this, 'delete', properties, params)
+            if (this.hasUniqueFields) {
+                await this.removeUnique(properties, params)
+            } else {
+                await this.run('delete', expression)
+            }
+        }
+        await this.afterHook('afterRemove', prior, params, prior, pending)
+    }
+
+    /*
+        Read the prior item for update and remove hooks
+     */
+    async getPrior(properties, params) {
+        if (params.execute === false) {
+            return undefined
         }
+        return await this.get(properties, {context: params.context, deleted: params.purge})
     }
 
     /*
         Remove multiple objects after doing a full find/query
      */
     async removeByFind(properties, params) {
-        if (params.retry) {
+        if (params.byFind) {
             throw new OneArgError('Remove cannot retry', {properties})
         }
         params.parse = true
@@ -595,12 +1208,74 @@ export class Model {
             })
         }
         for (let item of items) {
-            if (this.hasUniqueFields) {
-                await this.removeUnique(item, {retry: true})
-            } else {
-                await this.remove(item, {retry: true})
+            await this.remove(item, {byFind: true, purge: params.purge})
+        }
+    }
+
+    /*
+        Soft delete an item by setting the deleted timestamp. Unique attribute items are retained so that
+        the unique values remain reserved and the item can be restored.
+     */
+    async softRemove(properties, params) {
+        if (params.batch) {
+            throw new OneArgError('Cannot soft delete items in a batch')
+        }
+        let keys = this.getKeyProperties(properties)
+        keys[this.deletedField] = new Date()
+        try {
+            await this.updateItem(keys, Object.assign({}, params, {
+                exists: true, return: 'NONE', softRemove: true, prefixed: true,
+            }))
+        } catch (err) {
+            //  Like remove, it is not an error if the item does not exist
+            if (err.code == 'VersionConflictError' || !isConditionFailure(err)) {
+                throw err
+            }
+        }
+    }
+
+    /*
+        Restore a soft deleted item
+     */
+    async restore(properties, params = {}) {
+        if (!this.deletedField) {
+            throw new OneArgError(`Model "${this.name}" does not use soft delete`)
+        }
+        ({properties, params} = this.checkArgs(properties, params, {exists: true, parse: true, high: true}))
+        properties = this.prepareProperties('delete', properties, params)
+        params.remove = [this.deletedField]
+        params.prefixed = true
+        return await this.updateItem(this.getKeyProperties(properties), params)
+    }
+
+    /*
+        Permanently remove an item (soft deleted or not) and its unique attribute items.
+     */
+    async purge(properties, params = {}) {
+        ({properties, params} = this.checkArgs(properties, params, {exists: null, high: true, deleted: true, purge: true}))
+        if (this.hasUniqueFields && !params.transaction) {
+            //  Read the item so the unique property values are known and the unique items can be removed
+            let item = await this.get(properties, {deleted: true})
+            if (item) {
+                properties = Object.assign(item, properties)
             }
         }
+        return await this.remove(properties, params)
+    }
+
+    /*
+        Select the primary key and version properties from prepared properties
+     */
+    getKeyProperties(properties) {
+        let {hash, sort} = this.indexes.primary
+        let keys = {}
+        for (let field of Object.values(this.block.fields)) {
+            let attribute = field.attribute[0]
+            if ((attribute == hash || attribute == sort || field.version) && properties[field.name] !== undefined) {
+                keys[field.name] = properties[field.name]
+            }
+        }
+        return keys
     }
 
     /*
@@ -611,6 +1286,8 @@ export class Model {
         let {hash, sort} = this.indexes.primary
         let fields = Object.values(this.block.fields).filter(f => f.unique && f.attribute != hash && f.attribute != sort)
 
+        //  Properties have been prepared by remove
+        params.prefixed = true
         params.prepared = properties = this.prepareProperties('delete', properties, params)
 
         for (let field of fields) {
@@ -619,7 +1296,7 @@ export class Model {
             }
             let pk = `_unique#${this.name}#${field.attribute}#${properties[field.name]}`
             let sk = `_unique#`
-            await this.schema.uniqueModel.remove({[this.hash]: pk,[this.sort]: sk}, {transaction})
+            await this.getUniqueModel().remove({[this.hash]: pk,[this.sort]: sk}, {transaction, context: params.context})
         }
         await this.deleteItem(properties, params)
         await this.table.transact('write', params.transaction, params)
@@ -632,15 +1309,22 @@ export class Model {
 
     async update(properties, params = {}) {
         ({properties, params} = this.checkArgs(properties, params, {exists: true, parse: true, high: true}))
-        if (this.hasUniqueFields) {
-            let hasUniqueProperties = Object.entries(properties).find((pair, index) => {
-                return this.block.fields[pair[0]].unique
-            })
-            if (hasUniqueProperties) {
-                return await this.updateUnique(properties, params)
-            }
+        let pending = params.transaction || params.batch
+        let prior
+        if (this.hasHook('beforeUpdate') || this.hasHook('afterUpdate')) {
+            prior = await this.getPrior(properties, params)
+            properties = await this.beforeHook('beforeUpdate', properties, params, prior)
         }
-        return await this.updateItem(properties, params)
+        let result
+        let hasUniqueProperties = this.hasUniqueFields && Object.keys(properties).find(name => {
+            return this.block.fields[name] && this.block.fields[name].unique
+        })
+        if (hasUniqueProperties) {
+            result = await this.updateUnique(properties, params)
+        } else {
+            result = await this.updateItem(properties, params)
+        }
+        return await this.afterHook('afterUpdate', result, params, prior, pending)
     }
 
     /*
@@ -655,13 +1339,14 @@ export class Model {
         let transaction = params.transaction = params.transaction || {}
         let {hash, sort} = this.indexes.primary
 
+        let given = properties
         params.prepared = properties = this.prepareProperties('update', properties, params)
 
         /*
             Get the prior item so we know the previous unique property values so they can be removed.
             This must be run here, even if part of a transaction.
         */
-        let prior = await this.get(properties, {hidden:true})
+        let prior = await this.get(given, {hidden: true, context: params.context})
         if (prior) {
             prior = this.prepareProperties('update', prior)
         } else if (params.exists === undefined || params.exists == true) {
@@ -688,10 +1373,15 @@ export class Model {
                     //  Hasn't changed
                     continue
                 }
-                await this.schema.uniqueModel.remove({[this.hash]: priorPk,[this.sort]: sk}, {transaction, exists: null})
+                await this.getUniqueModel().remove({[this.hash]: priorPk,[this.sort]: sk}, {
+                    transaction, exists: null, context: params.context,
+                })
             }
-            await this.schema.uniqueModel.create({[this.hash]: pk,[this.sort]: sk}, {transaction, exists: false, return: 'NONE'})
+            await this.getUniqueModel().create({[this.hash]: pk,[this.sort]: sk}, {
+                transaction, exists: false, return: 'NONE', context: params.context,
+            })
         }
+        params.prefixed = true
         let item = await this.updateItem(properties, params)
 
         if (!transactHere) {
@@ -705,11 +1395,12 @@ export class Model {
         try {
             await this.table.transact('write', params.transaction, params)
         } catch (err) {
-            if (err.message.indexOf('ConditionalCheckFailed') >= 0) {
-                let names = fields.map(f => f.name).join(', ')
-                throw new OneError(`Cannot update unqiue attributes "${names}" for "${this.name}", ` +
+            if (err.code == 'TransactionCanceledError' &&
+                    err.context.reasons.find(r => r.reason == 'ConditionalCheckFailed')) {
+                let names = this.getUniqueConflicts(fields, err.context.reasons, params).join(', ')
+                throw new OneError(`Cannot update unique attributes "${names}" for "${this.name}", ` +
                                    `an item of the same name already exists.`,
-                                   {properties, transaction, code: 'Unique'})
+                                   {properties, transaction, reasons: err.context.reasons, code: 'Unique'})
             }
             throw err
         }
@@ -777,6 +1468,9 @@ export class Model {
     /* private */
     async scanItems(properties = {}, params = {}) {
         ({properties, params} = this.checkArgs(properties, params))
+        if (params.parallel) {
+            return await this.scanParallel(properties, params)
+        }
         properties = this.prepareProperties('scan', properties, params)
         let expression = new Expression(this, 'scan', properties, params)
         return await this.run('scan', expression)
@@ -805,20 +1499,58 @@ export class Model {
         if (models.length == 0) {
             return {}
         }
+        this.addTypeFilter(models, params)
+        params.parse = true
+        params.hidden = true
+
+        let items = await this.queryItems(properties, params)
+        return this.table.groupByType(items)
+    }
+
+    /* private */
+    async collection(models, properties = {}, params = {}) {
+        ({properties, params} = this.checkArgs(properties, params))
+        let result = {}
+        for (let model of models) {
+            result[model] = []
+        }
+        if (models.length == 0) {
+            return result
+        }
+        let hidden = params.hidden
+        this.addTypeFilter(models, params)
+        params.parse = true
+        params.hidden = true
+
+        let next = params.next
+        do {
+            let items = await this.queryItems(properties, Object.assign({}, params, {next}))
+            for (let [type, list] of Object.entries(this.table.groupByType(items, {hidden}))) {
+                result[type] = (result[type] || []).concat(list)
+            }
+            next = items.next
+        } while (next && params.all)
+
+        //  Not enumerable so it is not iterated as a model type
+        Object.defineProperty(result, 'next', {value: next, enumerable: false})
+        return result
+    }
+
+    /*
+        Add a where clause to select only items of the given model types
+     */
+    addTypeFilter(models, params) {
         let where = []
         for (let model of models) {
             where.push(`\${${this.typeField}} = {${model}}`)
         }
-        if (params.where) {
+        if (params.where && typeof params.where == 'object') {
+            params.where = {and: [params.where, where.join(' or ')]}
+        } else if (params.where) {
             params.where = `(${params.where}) and (${where.join(' or ')})`
         } else {
             params.where = where.join(' or ')
         }
-        params.parse = true
-        params.hidden = true
-
-        let items = await this.queryItems(properties, params)
-        return this.table.groupByType(items)
     }
 
     /*
@@ -828,14 +1560,40 @@ export class Model {
         if (!raw) {
             return raw
         }
-        let rec = {}
-        let fields = this.block.fields
+        raw = this.removeTenantPrefix(op, raw, params)
+        let rec = this.transformReadBlock(op, raw, properties, params, this.block.fields)
+        if (this.generic) {
+            //  Generic must include attributes outside the schema.
+            for (let [name, value] of Object.entries(raw)) {
+                if (rec[name] === undefined) {
+                    rec[name] = value
+                }
+            }
+        }
+        if (params.hidden == true && rec[this.typeField] === undefined && !this.generic) {
+            rec[this.typeField] = this.name
+        }
+        if (this.table.params.transform && ReadWrite[op] == 'read') {
+            rec = this.table.params.transform(this, ReadWrite[op], rec, properties, params, raw)
+        }
+        return rec
+    }
 
+    /*
+        Map the attributes for a block of fields. Recurses for nested object and array item schemas.
+     */
+    transformReadBlock(op, raw, properties, params, fields) {
+        let rec = {}
+        let virtuals = []
         for (let [name, field] of Object.entries(fields)) {
             //  Skip hidden params. Follow needs hidden params to do the follow.
             if (field.hidden && params.hidden !== true && params.follow !== true) {
                 continue
             }
+            if (field.virtual) {
+                virtuals.push(field)
+                continue
+            }
             let att, sub
             if (op == 'put') {
                 att = field.name
@@ -868,25 +1626,40 @@ export class Model {
                 }
                 continue
 
+            } else if (field.schema && value != null && typeof value == 'object') {
+                if (field.type == 'array' && Array.isArray(value)) {
+                    rec[name] = value.map(item => (item != null && typeof item == 'object') ?
+                        this.transformReadBlock(op, item, properties, params, field.block.fields) : item)
+                } else {
+                    rec[name] = this.transformReadBlock(op, value, properties, params, field.block.fields)
+                }
+
             } else {
                 rec[name] = this.transformReadAttribute(field, name, value, params)
             }
         }
-        if (this.generic) {
-            //  Generic must include attributes outside the schema.
-            for (let [name, value] of Object.entries(raw)) {
-                if (rec[name] === undefined) {
-                    rec[name] = value
-                }
+        for (let field of virtuals) {
+            let value = this.computeVirtual(op, field, rec, params)
+            if (value !== undefined) {
+                rec[field.name] = value
             }
         }
-        if (params.hidden == true && rec[this.typeField] === undefined && !this.generic) {
-            rec[this.typeField] = this.name
+        return rec
+    }
+
+    /*
+        Compute a virtual field from the other properties of the item. Returns undefined if a value template
+        references properties that are not defined.
+     */
+    computeVirtual(op, field, rec, params) {
+        if (typeof field.compute == 'function') {
+            return field.compute(rec, this)
         }
-        if (this.table.params.transform && ReadWrite[op] == 'read') {
-            rec = this.table.params.transform(this, ReadWrite[op], rec, properties, params, raw)
+        let value = this.runTemplate(op, null, field, rec, params, field.value)
+        if (typeof value == 'string' && value.indexOf('${') >= 0) {
+            return undefined
         }
-        return rec
+        return value
     }
 
     transformReadAttribute(field, name, value, params) {
@@ -909,6 +1682,9 @@ export class Model {
         Note: this does not map names to attributes or evaluate value templates, that happens in Expression.
      */
     prepareProperties(op, properties, params = {}) {
+        //  Set by callers passing properties whose hash keys already have the tenant prefix
+        let prefixed = params.prefixed
+        delete params.prefixed
         delete params.fallback
         let index = this.selectIndex(op, params)
 
@@ -917,10 +1693,17 @@ export class Model {
             return properties
         }
 
+        let prefix = this.getTenantPrefix(params)
+        if (prefix && op == 'scan') {
+            throw new OneError(`Cannot scan "${this.name}" in tenant mode. Use find with a hash key.`, {code: 'Tenant'})
+        }
         let rec = this.collectProperties(op, this.block, index, properties, params)
         if (params.fallback) {
             return properties
         }
+        if (prefix && !prefixed) {
+            this.addTenantPrefix(rec, prefix, params)
+        }
         if (op != 'scan' && this.getHash(rec, this.block.fields, index, params) == null) {
             this.table.log.error(`Empty hash key`, {properties, params, op})
             throw new OneError(`Empty hash key. Check hash key and any value template variable references.`, {
@@ -933,6 +1716,88 @@ export class Model {
         return rec
     }
 
+    /*
+        Return the hash key prefix for the current tenant or null if not in tenant mode.
+        The tenant value must be defined in the context and must not contain the separator.
+    */
+    getTenantPrefix(params = {}) {
+        let tenant = this.table.tenant
+        if (!tenant || TenantExempt.indexOf(this.name) >= 0) {
+            return null
+        }
+        let context = params.context || this.table.context
+        let value = context[tenant.field]
+        if (value == null || value === '') {
+            throw new OneError(`Missing tenant "${tenant.field}" in context for "${this.name}"`, {code: 'Tenant'})
+        }
+        if (String(value).indexOf(tenant.separator) >= 0) {
+            throw new OneArgError(`Tenant "${tenant.field}" value "${value}" must not contain "${tenant.separator}"`, {
+                model: this.name, code: 'Tenant',
+            })
+        }
+        return `${value}${tenant.separator}`
+    }
+
+    /*
+        Return the property names of the hash keys for all indexes
+    */
+    getHashNames(op, params) {
+        let generic = params.generic != null ? params.generic : this.generic
+        let names = []
+        for (let index of Object.values(this.indexes)) {
+            let name = index.hash
+            if (name && !generic) {
+                let field = Object.values(this.block.fields).find(f => f.attribute[0] == index.hash)
+                name = field ? (op == 'put' || op == 'write' ? field.name : field.attribute[0]) : null
+            }
+            if (name && names.indexOf(name) < 0) {
+                names.push(name)
+            }
+        }
+        return names
+    }
+
+    /*
+        Prefix hash key values with the tenant. Always applied so a value that looks prefixed cannot select another tenant.
+    */
+    addTenantPrefix(rec, prefix, params) {
+        for (let name of this.getHashNames('write', params)) {
+            let value = rec[name]
+            if (value == null) {
+                continue
+            }
+            if (typeof value != 'string') {
+                throw new OneError(`Hash key "${name}" for "${this.name}" must be a string in tenant mode`, {
+                    code: 'Tenant',
+                })
+            }
+            rec[name] = prefix + value
+        }
+    }
+
+    /*
+        Strip the tenant prefix from hash key values read from the table.
+        Throws if an item does not belong to the current tenant.
+    */
+    removeTenantPrefix(op, raw, params) {
+        let prefix = this.getTenantPrefix(params)
+        if (!prefix) {
+            return raw
+        }
+        raw = Object.assign({}, raw)
+        for (let name of this.getHashNames(op, params)) {
+            let value = raw[name]
+            if (typeof value != 'string') {
+                continue
+            }
+            if (value.indexOf(prefix) != 0) {
+                throw new OneError(`Cannot read "${this.name}" item belonging to another tenant`, {code: 'Tenant'})
+            }
+            raw[name] = value.slice(prefix.length)
+        }
+        return raw
+    }
+
     //  Handle fallback for get/delete as GSIs only support find and scan
     needsFallback(op, index, params) {
         if (index != this.indexes.primary && op != 'find' && op != 'scan') {
@@ -980,7 +1845,7 @@ export class Model {
         This handles tunneled properties, blends context properties, resolves default values, handles Nulls and empty strings,
         and invokes validations. Nested schemas are handled here.
     */
-    collectProperties(op, block, index, properties, params, context, rec = {}) {
+    collectProperties(op, block, index, properties, params, context, rec = {}, path = '', errors = {}) {
         let fields = block.fields
         if (!context) {
             context = params.context || this.table.context
@@ -989,9 +1854,14 @@ export class Model {
             //  Process nested schema recursively
             for (let [name, value] of Object.entries(properties)) {
                 let field = fields[name]
-                if (field && field.schema && typeof value == 'object') {
-                    rec[name] = rec[name] || {}
-                    this.collectProperties(op, field.block, index, value, params, context[name] || {}, rec[name])
+                if (field && field.schema && value != null && typeof value == 'object') {
+                    if (field.type == 'array') {
+                        rec[name] = this.collectItems(op, field, index, value, params, path, errors)
+                    } else {
+                        rec[name] = rec[name] || {}
+                        this.collectProperties(op, field.block, index, value, params, context[name] || {}, rec[name],
+                            `${path}${name}.`, errors)
+                    }
                 }
             }
         }
@@ -999,13 +1869,31 @@ export class Model {
         this.addContext(op, fields, index, properties, params, context)
         this.setDefaults(op, fields, properties, params)
         this.runTemplates(op, index, fields, properties, params)
-        this.convertNulls(op, fields, properties, params)
-        this.validateProperties(op, fields, properties, params)
+        //  Array items are written in full, so null item properties are omitted rather than removed
+        this.convertNulls(op, fields, properties, block.items ? {} : params)
+        this.validateProperties(op, fields, properties, params, errors, path)
         this.selectProperties(op, block, index, properties, params, rec)
         this.transformProperties(op, fields, properties, params, rec)
         return rec
     }
 
+    /*
+        Collect the properties for each element of an array with a nested items schema
+     */
+    collectItems(op, field, index, items, params, path = '', errors = {}) {
+        if (!Array.isArray(items)) {
+            throw new OneArgError(`Invalid data type for Array field "${field.name}" in "${this.name}"`)
+        }
+        //  Updates replace the entire array, so each item is prepared as a new item (defaults and required)
+        let itemOp = op == 'update' ? 'put' : op
+        return items.map((item, i) => {
+            if (item == null || typeof item != 'object') {
+                throw new OneArgError(`Invalid array item for field "${field.name}" in "${this.name}"`)
+            }
+            return this.collectProperties(itemOp, field.block, index, item, params, {}, {}, `${path}${field.name}[${i}].`, errors)
+        })
+    }
+
     /*
         For typescript, we cant use properties: {name: [between], name: {begins}}
         so tunnel from the params. Works for between, begins, < <= = >= >
@@ -1029,7 +1917,7 @@ export class Model {
             NOTE: Value templates for unique items may need other properties when removing unique items
         */
         for (let [name, field] of Object.entries(block.fields)) {
-            if (field.schema) continue
+            if (field.schema || field.virtual) continue
             let omit = false
 
             if (block == this.block) {
@@ -1046,7 +1934,8 @@ export class Model {
                     params.fallback = true
                     return
                 }
-                if (KeysOnly[op] && attribute != index.hash && attribute != index.sort && !this.hasUniqueFields) {
+                if (KeysOnly[op] && attribute != index.hash && attribute != index.sort && !this.hasUniqueFields &&
+                        !(op == 'delete' && field.version)) {
                     //  Keys only for get and delete. Must include unique properties and all properties if unique value templates.
                     //  FUTURE: could have a "strict" mode where we warn for other properties instead of ignoring.
                     omit = true
@@ -1156,6 +2045,10 @@ export class Model {
                         } else if (field.uuid == 'ulid') {
                             value = this.table.ulid()
                         }
+
+                    } else if (field.version && op != 'update') {
+                        //  Updates with exists: null increment the version via the update expression
+                        value = 1
                     }
                     if (value !== undefined) {
                         properties[field.name] = value
@@ -1200,6 +2093,9 @@ export class Model {
      */
     runTemplates(op, index, fields, properties, params) {
         for (let [name, field] of Object.entries(fields)) {
+            if (field.virtual) {
+                continue
+            }
             if (field.isIndexed && (op != 'put' && op != 'update') &&
                     field.attribute[0] != index.hash && field.attribute[0] != index.sort) {
                 //  Ignore indexes not being used for this call
@@ -1292,7 +2188,11 @@ export class Model {
         return this.runTemplate('find', null, properties, params)
     }
 
-    validateProperties(op, fields, properties, params) {
+    /*
+        Validate the properties for put and update. Errors for nested schemas are collected in "errors" using the
+        nested property path (e.g. "address.zip") and are thrown with the errors of the top level properties.
+     */
+    validateProperties(op, fields, properties, params, errors = {}, path = '') {
         if (op != 'put' && op != 'update') {
             return
         }
@@ -1303,8 +2203,8 @@ export class Model {
         for (let [name, value] of Object.entries(properties)) {
             let field = fields[name]
             if (!field) continue
-            if (params.validate || field.validate || field.enum) {
-                value = this.validateProperty(field, value, validation, params)
+            if (params.validate || field.validate || field.enum || field.hasRules) {
+                value = this.validateProperty(field, value, validation, params, properties)
                 properties[name] = value
             }
         }
@@ -1315,16 +2215,18 @@ export class Model {
                 validation[field.name] = `Value not defined for required field "${field.name}"`
             }
         }
-
-        if (Object.keys(validation).length > 0) {
-            let error = new OneError(`Validation Error in "${this.name}" for "${Object.keys(validation).join(', ')}"`,
-                {validation, code: 'Validation'}
+        for (let [name, message] of Object.entries(validation)) {
+            errors[path + name] = message
+        }
+        if (!path && Object.keys(errors).length > 0) {
+            let error = new OneError(`Validation Error in "${this.name}" for "${Object.keys(errors).join(', ')}"`,
+                {validation: errors, code: 'Validation'}
             )
             throw error
         }
     }
 
-    validateProperty(field, value, details, params) {
+    validateProperty(field, value, details, params, properties = {}) {
         let fieldName = field.name
 
         //  DEPRECATE
@@ -1342,6 +2244,14 @@ export class Model {
                 if (field.required && field.value == null) {
                     details[fieldName] = `Value not defined for "${fieldName}"`
                 }
+            } else if (typeof validate == 'function') {
+                //  Custom validator. Return false or an error message if invalid.
+                let result = validate(value, properties, field)
+                if (result === false) {
+                    details[fieldName] = `Bad value "${value}" for "${fieldName}"`
+                } else if (typeof result == 'string') {
+                    details[fieldName] = result
+                }
             } else if (validate instanceof RegExp) {
                 if (!validate.exec(value)) {
                     details[fieldName] = `Bad value "${value}" for "${fieldName}"`
@@ -1368,9 +2278,65 @@ export class Model {
                 details[fieldName] = `Bad value "${value}" for "${fieldName}"`
             }
         }
+        if (field.hasRules && value != null && !details[fieldName]) {
+            let error = this.checkRules(field, value)
+            if (error) {
+                details[fieldName] = error
+            }
+        }
         return value
     }
 
+    /*
+        Check the declarative validation rules for a field value. Returns an error message if invalid.
+     */
+    checkRules(field, value) {
+        let name = field.name
+        if (Array.isArray(value)) {
+            if (field.minItems != null && value.length < field.minItems) {
+                return `Value for "${name}" must have at least ${field.minItems} items`
+            }
+            if (field.maxItems != null && value.length > field.maxItems) {
+                return `Value for "${name}" must have at most ${field.maxItems} items`
+            }
+            return null
+        }
+        if (field.min != null || field.max != null || field.integer) {
+            let num = typeof value == 'string' && value.trim() == '' ? NaN : Number(value)
+            if (isNaN(num)) {
+                return `Value for "${name}" must be a number`
+            }
+            if (field.integer && !Number.isInteger(num)) {
+                return `Value for "${name}" must be an integer`
+            }
+            if (field.min != null && num < field.min) {
+                return `Value for "${name}" must be at least ${field.min}`
+            }
+            if (field.max != null && num > field.max) {
+                return `Value for "${name}" must be at most ${field.max}`
+            }
+        }
+        if (typeof value == 'string') {
+            if (field.minLength != null && value.length < field.minLength) {
+                return `Value for "${name}" must be at least ${field.minLength} characters`
+            }
+            if (field.maxLength != null && value.length > field.maxLength) {
+                return `Value for "${name}" must be at most ${field.maxLength} characters`
+            }
+        }
+        if (field.email && !EmailPattern.test(String(value))) {
+            return `Bad email address "${value}" for "${name}"`
+        }
+        if (field.url) {
+            try {
+                new URL(value)
+            } catch (err) {
+                return `Bad URL "${value}" for "${name}"`
+            }
+        }
+        return null
+    }
+
     transformProperties(op, fields, properties, params, rec) {
         for (let [name, field] of Object.entries(fields)) {
             let value = rec[name]
@@ -1564,7 +2530,7 @@ export class Model {
             throw new OneError('Invalid type for params', {code: 'Type'})
         }
         //  Must not use merge as we need to modify the callers batch/transaction objects
-        params = Object.assign(overrides, params)
+        params = Object.assign(overrides, this.table.defaults, params)
 
         params.checked = true
         properties = this.table.assign({}, properties)
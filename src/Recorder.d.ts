@@ -0,0 +1,44 @@
+/*
+    Recorder.d.ts -- Record and replay DynamoDB client
+*/
+
+export type RecorderParams = {
+    client?: any,
+    match?: (recorded: any, cmd: any, op: string) => boolean,
+    mode?: 'auto' | 'record' | 'replay',
+    path: string,
+};
+
+export class Recorder {
+    constructor(params: RecorderParams);
+    client: any;
+    mode: 'record' | 'replay';
+    path: string;
+    entries: any[];
+    V3: boolean;
+
+    createTable(params: {}): Promise<any>;
+    deleteTable(params: {}): Promise<any>;
+    describeTable(params: {}): Promise<any>;
+    listTables(params?: {}): Promise<any>;
+    updateTable(params: {}): Promise<any>;
+
+    get(params: {}): Promise<any>;
+    put(params: {}): Promise<any>;
+    update(params: {}): Promise<any>;
+    delete(params: {}): Promise<any>;
+    find(params: {}): Promise<any>;
+    scan(params: {}): Promise<any>;
+    batchGet(params: {}): Promise<any>;
+    batchWrite(params: {}): Promise<any>;
+    transactGet(params: {}): Promise<any>;
+    transactWrite(params: {}): Promise<any>;
+
+    save(): Promise<void>;
+    verify(): void;
+}
+
+export function defaultMatch(recorded: any, cmd: any): boolean;
+export function exactMatch(recorded: any, cmd: any): boolean;
+
+export default Recorder
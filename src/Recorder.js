@@ -0,0 +1,345 @@
+/*
+    Recorder.js -- Record and replay DynamoDB client
+
+    This module wraps a V3 client (Dynamo or MemoryDynamo) and records every command and its response
+    or error to a JSON fixture file. In replay mode, the recorded responses are served back in order
+    without a database and any command that does not match the recording throws an error.
+    By default, generated values (timestamps, ULIDs, UUIDs and paging keys) are ignored when matching.
+
+    Use:
+        import {Table} from 'dynamodb-onetable'
+        import Dynamo from 'dynamodb-onetable/Dynamo'
+        import Recorder from 'dynamodb-onetable/Recorder'
+
+        const client = new Recorder({client: new Dynamo({client: dynamoClient}), path: 'fixtures/users.json'})
+        const table = new Table({client, name: 'MyTable', schema})
+*/
+
+import fs from 'fs'
+import path from 'path'
+import {marshall, unmarshall} from '@aws-sdk/util-dynamodb'
+import {OneArgError, OneError} from './Error.js'
+
+//  Error properties preserved in recordings
+const ErrorProperties = ['name', 'code', 'message', '$fault', '$metadata', 'CancellationReasons']
+
+const Modes = ['auto', 'record', 'replay']
+
+//  Generated values that vary from run to run and are ignored by the default match
+const IsoDatePattern = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g
+const UlidPattern = /\b[0-9A-HJKMNP-TV-Z]{26}\b/g
+const UuidPattern = /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi
+const EpochPattern = /^\d{13}$/
+const PagingKeys = ['ExclusiveStartKey']
+
+export class Recorder {
+    constructor(params = {}) {
+        let mode = params.mode || 'auto'
+        if (!params.path) {
+            throw new OneArgError('Missing "path" property')
+        }
+        if (Modes.indexOf(mode) < 0) {
+            throw new OneArgError(`Invalid recorder mode "${mode}"`)
+        }
+        if (mode == 'auto') {
+            mode = fs.existsSync(params.path) ? 'replay' : 'record'
+        }
+        if (mode == 'record' && !params.client) {
+            throw new OneArgError('Missing "client" property to record commands')
+        }
+        this.client = params.client
+        this.path = params.path
+        this.mode = mode
+        this.match = params.match
+        this.params = (params.client && params.client.params) || {}
+        this.marshall = params.client ? params.client.marshall : marshall
+        this.unmarshall = params.client ? params.client.unmarshall : unmarshall
+        this.V3 = true
+        this.index = 0
+        //  Size of the fixture file written so far and the pending append
+        this.size = 0
+        this.writing = Promise.resolve()
+        if (mode == 'replay') {
+            this.entries = JSON.parse(fs.readFileSync(this.path, 'utf8'))
+        } else {
+            this.entries = []
+        }
+    }
+
+    async createTable(params) {
+        return await this.command('createTable', params)
+    }
+
+    async deleteTable(params) {
+        return await this.command('deleteTable', params)
+    }
+
+    async describeTable(params) {
+        return await this.command('describeTable', params)
+    }
+
+    async listTables(params) {
+        return await this.command('listTables', params)
+    }
+
+    async updateTable(params) {
+        return await this.command('updateTable', params)
+    }
+
+    async get(params) {
+        return await this.command('get', params)
+    }
+
+    async put(params) {
+        return await this.command('put', params)
+    }
+
+    async update(params) {
+        return await this.command('update', params)
+    }
+
+    async delete(params) {
+        return await this.command('delete', params)
+    }
+
+    async find(params) {
+        return await this.command('find', params)
+    }
+
+    async scan(params) {
+        return await this.command('scan', params)
+    }
+
+    async batchGet(params) {
+        return await this.command('batchGet', params)
+    }
+
+    async batchWrite(params) {
+        return await this.command('batchWrite', params)
+    }
+
+    async transactGet(params) {
+        return await this.command('transactGet', params)
+    }
+
+    async transactWrite(params) {
+        return await this.command('transactWrite', params)
+    }
+
+    async command(op, params) {
+        if (this.mode == 'record') {
+            return await this.record(op, params)
+        }
+        return this.replay(op, params)
+    }
+
+    /*
+        Issue the command via the wrapped client and save the command with its result or error
+     */
+    async record(op, params) {
+        let entry = {op, cmd: encode(params)}
+        let result, error
+        try {
+            result = await this.client[op](params)
+            entry.result = encode(result)
+        } catch (err) {
+            error = err
+            entry.error = encodeError(err)
+        }
+        this.entries.push(entry)
+        await this.append(entry)
+        if (error) {
+            throw error
+        }
+        return result
+    }
+
+    /*
+        Return the next recorded result if the command matches the recording
+     */
+    replay(op, params) {
+        let entry = this.entries[this.index]
+        if (!entry) {
+            throw new OneError(`Unexpected "${op}" command after the end of the recording "${this.path}"`, {
+                code: 'Replay', op, cmd: params,
+            })
+        }
+        let cmd = encode(params)
+        let matched = this.match ? this.match(entry.cmd, cmd, op) : (entry.op == op && defaultMatch(entry.cmd, cmd))
+        if (!matched) {
+            throw new OneError(`Command "${op}" does not match recorded command ${this.index} "${entry.op}"`, {
+                code: 'Replay', op, index: this.index, expected: entry.cmd, cmd,
+            })
+        }
+        this.index++
+        if (entry.error) {
+            throw decodeError(entry.error)
+        }
+        return decode(entry.result)
+    }
+
+    /*
+        Throw if recorded commands were not replayed
+     */
+    verify() {
+        if (this.mode == 'replay' && this.index < this.entries.length) {
+            let remaining = this.entries.length - this.index
+            throw new OneError(`Recording "${this.path}" has ${remaining} commands that were not replayed`, {
+                code: 'Replay', remaining,
+            })
+        }
+    }
+
+    /*
+        Write all entries to the fixture file
+     */
+    async save() {
+        await this.writing
+        let data = JSON.stringify(this.entries, null, 4) + '\n'
+        await fs.promises.mkdir(path.dirname(this.path), {recursive: true})
+        await fs.promises.writeFile(this.path, data)
+        //  An empty array cannot be appended to and is rewritten by the next append
+        this.size = this.entries.length ? Buffer.byteLength(data) : 0
+    }
+
+    /*
+        Append an entry to the fixture file. The entry overwrites the closing bracket so the file is always valid
+        JSON without rewriting prior entries. Appends are serialized to preserve the order of concurrent commands.
+     */
+    append(entry) {
+        let write = async () => {
+            let json = JSON.stringify([entry], null, 4)
+            if (this.size == 0) {
+                await fs.promises.mkdir(path.dirname(this.path), {recursive: true})
+                await fs.promises.writeFile(this.path, json + '\n')
+                this.size = Buffer.byteLength(json) + 1
+            } else {
+                //  Replace the trailing "\n]\n" with the new entry
+                let data = ',\n' + json.slice(2) + '\n'
+                let file = await fs.promises.open(this.path, 'r+')
+                try {
+                    await file.write(data, this.size - 3)
+                } finally {
+                    await file.close()
+                }
+                this.size += Buffer.byteLength(data) - 3
+            }
+        }
+        return this.writing = this.writing.then(write, write)
+    }
+}
+
+/*
+    Default command match. Generated timestamps, ULIDs, UUIDs and paging keys are ignored.
+ */
+export function defaultMatch(recorded, cmd) {
+    return equals(normalize(recorded, true), normalize(cmd, true))
+}
+
+/*
+    Match only identical commands. Use via params.match.
+ */
+export function exactMatch(recorded, cmd) {
+    return equals(recorded, cmd)
+}
+
+function normalize(value, top) {
+    if (Array.isArray(value)) {
+        return value.map(v => normalize(v))
+    }
+    if (value != null && typeof value == 'object') {
+        let result = {}
+        for (let [key, v] of Object.entries(value)) {
+            if (!(top && PagingKeys.indexOf(key) >= 0)) {
+                result[key] = normalize(v)
+            }
+        }
+        return result
+    }
+    if (typeof value == 'number' && EpochPattern.test(String(value))) {
+        return '$time'
+    }
+    if (typeof value == 'string') {
+        if (EpochPattern.test(value)) {
+            return '$time'
+        }
+        return value.replace(IsoDatePattern, '$date').replace(UlidPattern, '$ulid').replace(UuidPattern, '$uuid')
+    }
+    return value
+}
+
+/*
+    Convert a command or result to a JSON safe representation. Binary values are base64 encoded.
+ */
+function encode(value) {
+    if (value instanceof Uint8Array) {
+        return {$binary: Buffer.from(value).toString('base64')}
+    }
+    if (Array.isArray(value)) {
+        return value.map(v => encode(v))
+    }
+    if (value instanceof Date) {
+        return value.toISOString()
+    }
+    if (value != null && typeof value == 'object') {
+        let result = {}
+        for (let [key, v] of Object.entries(value)) {
+            if (v !== undefined) {
+                result[key] = encode(v)
+            }
+        }
+        return result
+    }
+    return value
+}
+
+function decode(value) {
+    if (Array.isArray(value)) {
+        return value.map(v => decode(v))
+    }
+    if (value != null && typeof value == 'object') {
+        if (typeof value.$binary == 'string' && Object.keys(value).length == 1) {
+            return new Uint8Array(Buffer.from(value.$binary, 'base64'))
+        }
+        let result = {}
+        for (let [key, v] of Object.entries(value)) {
+            result[key] = decode(v)
+        }
+        return result
+    }
+    return value
+}
+
+function encodeError(err) {
+    let result = {}
+    for (let name of ErrorProperties) {
+        if (err[name] !== undefined) {
+            result[name] = encode(err[name])
+        }
+    }
+    return result
+}
+
+function decodeError(recorded) {
+    let err = new Error(recorded.message)
+    for (let [key, value] of Object.entries(recorded)) {
+        err[key] = decode(value)
+    }
+    return err
+}
+
+function equals(a, b) {
+    if (a === b) {
+        return true
+    }
+    if (Array.isArray(a)) {
+        return Array.isArray(b) && a.length == b.length && a.every((v, i) => equals(v, b[i]))
+    }
+    if (a != null && b != null && typeof a == 'object' && typeof b == 'object' && !Array.isArray(b)) {
+        let keys = Object.keys(a)
+        return keys.length == Object.keys(b).length && keys.every(key => equals(a[key], b[key]))
+    }
+    return false
+}
+
+export default Recorder
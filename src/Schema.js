@@ -3,6 +3,7 @@
  */
 
 import {Model} from './Model.js'
+import {OneArgError} from './Error.js'
 
 const GenericModel = '_Generic'
 const MigrationModel = '_Migration'
@@ -13,6 +14,28 @@ const SchemaKey = '_schema'
 const UniqueKey = '_unique'
 const SchemaFormat = 'onetable:1.1.0'
 
+/*
+    Saved query sort key operations and filter operations
+ */
+const KeyOperations = {
+    'Equal': '=',
+    'Less than': '<',
+    'Less than or equal': '<=',
+    'Greater than or equal': '>=',
+    'Greater than': '>',
+    'Begins with': 'begins',
+    'Between': 'between',
+}
+
+const FilterOperations = {
+    'Equal': '=',
+    'Not equal': '<>',
+    'Less than': '<',
+    'Less than or equal': '<=',
+    'Greater than or equal': '>=',
+    'Greater than': '>',
+}
+
 export class Schema {
 
     constructor(table, schema) {
@@ -40,7 +63,7 @@ export class Schema {
                 throw new Error('Schema is missing a version')
             }
             this.definition = schema
-            let {models, indexes, params} = schema
+            let {models, indexes, params, relations} = schema
             if (!models) {
                 models = {}
             }
@@ -51,7 +74,7 @@ export class Schema {
             }
             for (let [name, model] of Object.entries(models)) {
                 if (name == SchemaModel || name == MigrationModel) continue
-                this.models[name] = new Model(this.table, name, {fields: model})
+                this.models[name] = new Model(this.table, name, {fields: model, relations: relations ? relations[name] : null})
             }
             this.createStandardModels()
         }
@@ -117,6 +140,7 @@ export class Schema {
             models:         { type: 'object', required: true },
             params:         { type: 'object', required: true },
             queries:        { type: 'object', required: true },
+            relations:      { type: 'object' },
             version:        { type: 'string', required: true },
         }
         if (primary.sort) {
@@ -174,6 +198,143 @@ export class Schema {
         delete this.models[name.toString()]
     }
 
+    getQuery(name) {
+        let queries = (this.definition && this.definition.queries) || {}
+        let query = queries[name]
+        if (!query) {
+            throw new OneArgError(`Cannot find query "${name}"`)
+        }
+        return query
+    }
+
+    /*
+        Prepare a saved query from the schema "queries" section. Returns the model, API method, properties and params
+        to invoke. Query values may contain ${name} references that are replaced with values from args.
+     */
+    prepareQuery(name, args = {}, params = {}) {
+        let query = this.getQuery(name)
+        let index = this.indexes[query.index || 'primary']
+        if (!index) {
+            throw new OneArgError(`Cannot find index "${query.index}" for query "${name}"`)
+        }
+        let type = query.type || 'Query'
+        let model = this.genericModel
+        if (type == 'Entity') {
+            if (!query.model) {
+                throw new OneArgError(`Missing model for entity query "${name}"`)
+            }
+            model = this.getModel(query.model)
+        }
+        let properties = {}
+        let hash = substituteArgs(query.hash, args)
+        if (type != 'Scan' && hash != null) {
+            properties[index.hash] = hash
+            let sort = substituteArgs(query.sort, args)
+            if (sort != null && index.sort) {
+                let operation = KeyOperations[query.operation || 'Equal']
+                if (!operation) {
+                    throw new OneArgError(`Unknown sort key operation "${query.operation}" for query "${name}"`)
+                }
+                properties[index.sort] = operation == '=' ? sort : {[operation]: sort}
+            }
+        }
+        let {where, substitutions} = this.prepareQueryFilters(name, model, query.filters || [], args)
+
+        params = Object.assign({}, params)
+        if (where) {
+            if (params.where && typeof params.where == 'object') {
+                params.where = {and: [where, params.where]}
+            } else {
+                params.where = params.where ? `(${where}) and (${params.where})` : where
+            }
+            params.substitutions = Object.assign(substitutions, params.substitutions)
+        }
+        if (query.index && query.index != 'primary' && params.index === undefined) {
+            params.index = query.index
+        }
+        if (query.limit && params.limit === undefined) {
+            params.limit = query.limit
+        }
+        let method
+        if (model == this.genericModel) {
+            method = properties[index.hash] != null ? 'queryItems' : 'scanItems'
+            if (params.parse === undefined) {
+                params.parse = true
+            }
+        } else {
+            method = properties[index.hash] != null ? 'find' : 'scan'
+        }
+        return {model, method, properties, params}
+    }
+
+    /*
+        Convert saved query filters into a where clause. Filters are combined in order, so each "And" or "Or"
+        applies to the result of all prior filters: [a, and b, or c] is "((a) and (b)) or (c)".
+     */
+    prepareQueryFilters(name, model, filters, args) {
+        let where = ''
+        let substitutions = {}
+        for (let [i, filter] of Object.entries(filters)) {
+            let field = this.getFilterTarget(name, model, filter.field)
+            let value = substituteArgs(filter.value, args)
+            let ref = (v, suffix = '') => {
+                if (filter.type == 'number') {
+                    return `{${+v}}`
+                } else if (filter.type == 'boolean') {
+                    return (v === true || v == 'true') ? '{true}' : '{false}'
+                }
+                let key = `_query${i}${suffix}`
+                substitutions[key] = v
+                return `@{${key}}`
+            }
+            let clause
+            let operation = filter.operation
+            if (FilterOperations[operation]) {
+                clause = `${field} ${FilterOperations[operation]} ${ref(value)}`
+            } else if (operation == 'Between') {
+                if (!Array.isArray(value) || value.length != 2) {
+                    throw new OneArgError(`Between filter for query "${name}" requires an array of two values`)
+                }
+                clause = `${field} BETWEEN ${ref(value[0], 'a')} AND ${ref(value[1], 'b')}`
+            } else if (operation == 'Begins with') {
+                clause = `begins_with(${field}, ${ref(value)})`
+            } else if (operation == 'Existing') {
+                clause = `attribute_exists(${field})`
+            } else if (operation == 'Not Existing') {
+                clause = `attribute_not_exists(${field})`
+            } else if (operation == 'Contains') {
+                clause = `contains(${field}, ${ref(value)})`
+            } else if (operation == 'Does not contain') {
+                clause = `NOT contains(${field}, ${ref(value)})`
+            } else {
+                throw new OneArgError(`Unknown filter operation "${operation}" for query "${name}"`)
+            }
+            if (where) {
+                where = `(${where}) ${filter.combine == 'Or' ? 'or' : 'and'} (${clause})`
+            } else {
+                where = clause
+            }
+        }
+        return {where, substitutions}
+    }
+
+    /*
+        Return the where clause reference for a filter field. Filter fields are table attribute names, so refer to
+        the model property stored in the attribute as where clause references are mapped from property names.
+     */
+    getFilterTarget(name, model, field) {
+        let [attribute, ...rest] = field.split('.')
+        let fields = model.block.fields
+        let property = Object.values(fields).find(f => f.attribute.length == 1 && f.attribute[0] == attribute)
+        if (property) {
+            attribute = property.name
+        } else if (fields[attribute]) {
+            throw new OneArgError(`Cannot filter on attribute "${attribute}" for query "${name}". ` +
+                `The "${attribute}" property is mapped to a different attribute.`)
+        }
+        return `\${${[attribute].concat(rest).join('.')}}`
+    }
+
     async getKeys(refresh = false) {
         if (this.indexes && !refresh) {
             return this.indexes
@@ -323,3 +484,27 @@ export class Schema {
         return await model.update(schema, {exists: null})
     }
 }
+
+/*
+    Replace ${name} references in saved query values with args. A value that is a single reference is
+    replaced with the arg value without conversion to a string.
+ */
+function substituteArgs(value, args) {
+    if (Array.isArray(value)) {
+        return value.map(v => substituteArgs(v, args))
+    }
+    if (typeof value != 'string') {
+        return value
+    }
+    let getArg = (name) => {
+        if (args[name] === undefined) {
+            throw new OneArgError(`Missing query argument "${name}"`)
+        }
+        return args[name]
+    }
+    let matched = value.match(/^\${([^}]*)}$/)
+    if (matched) {
+        return getArg(matched[1])
+    }
+    return value.replace(/\${(.*?)}/g, (match, name) => getArg(name))
+}
@@ -2,12 +2,58 @@
     Table.d.ts -- Hand crafted type defintions for Table
 */
 
-import { AnyEntity, AnyModel, Model, OneIndexSchema, OneParams, OneProperties, OneModelSchema, OneSchema, Paged} from "./Model";
+import { AnyEntity, AnyModel, Model, OneChangeEvent, OneChangeListener, OneHooks, OneIndexSchema, OneParams, OneProperties, OneModelSchema, OneRetry, OneSchema, Paged} from "./Model";
 
 export type EntityGroup = {
     [key: string]: AnyEntity[]
 };
 
+/*
+    Item collection keyed by model type. The "next" key continues the collection with params.next.
+ */
+export type Collection<T extends {[model: string]: AnyEntity}> = {
+    [K in keyof T]: T[K][]
+} & {
+    readonly next?: object
+};
+
+/*
+    DynamoDB Streams record and the parsed result
+ */
+export type StreamRecord = {
+    eventName?: string,
+    dynamodb?: {
+        Keys?: {},
+        NewImage?: {},
+        OldImage?: {},
+    },
+};
+
+export type StreamItem<T = AnyEntity> = {
+    eventName: 'INSERT' | 'MODIFY' | 'REMOVE',
+    model: string | null,           //  Model name from the type field. Null if the type is not a schema model.
+    keys: AnyEntity,                //  Unmarshalled key attributes.
+    old?: T,
+    new?: T,
+    changedFields: string[],
+    tenant?: string,                //  Tenant ID from the hash key prefix in tenant mode.
+};
+
+/*
+    JSON Lines export and import. The prefix rewrites the leading prefix of string index key values.
+ */
+export type ExportParams = OneParams & {
+    models?: string[],              //  Export only these models.
+    prefix?: {from: string, to: string},
+};
+
+export type ImportParams = OneParams & {
+    batchSize?: number,             //  Items per batchWrite. Default 25.
+    models?: string[],              //  Import only these models.
+    prefix?: {from: string, to: string},
+    rate?: number,                  //  Maximum items written per second.
+};
+
 type TableConstructorParams = {
     client?: {},                    //  Instance of DocumentClient or Dynamo.
     createdField?: string,          //  Name of "created" timestamp attribute.
@@ -15,6 +61,7 @@ type TableConstructorParams = {
     delimiter?: string,             //  Composite sort key delimiter (default ':').
     generic?: boolean,              //  Create a generic (low-level) raw model. Default false.
     hidden?: boolean,               //  Hide key attributes in Javascript properties. Default false.
+    hooks?: {[model: string]: OneHooks},    //  Lifecycle hooks keyed by model name.
     isoDates?: boolean,             //  Set to true to store dates as Javascript ISO Date strings.
 
     logger?: boolean | ((tag: string, message: string, context: {}) => void),      // Logging callback
@@ -22,9 +69,14 @@ type TableConstructorParams = {
     //  Intercept table reads and writes
     intercept?: (model: AnyModel, op: string, rec: {}, params: OneParams, raw?: {}) => void,
     metrics?: boolean | object,     //  Enable CloudWatch metrics.
+    //  Invoked after each DynamoDB request
+    monitor?: (model: string, op: string, result: {}, params: OneParams, mark: Date) => Promise<void>,
     name?: string,                  //  Table name.
     nulls?: boolean,                //  Store nulls in database attributes. Default false.
+    retry?: boolean | number | OneRetry,    //  Retry policy for transient errors. Default none.
     schema?: OneSchema,             //  Table models schema.
+    //  Partition items by a tenant context property. Hash keys are prefixed with the tenant value.
+    tenant?: {field: string, separator?: string},
     senselogs?: {},                 //  SenseLogs instance for logging
     timestamps?: boolean,           //  Make "created" and "updated" timestamps. Default true.
     typeField?: string,             //  Name of model type attribute. Default "_type".
@@ -39,12 +91,69 @@ type TableConstructorParams = {
     value?: (model: AnyModel, fieldName: string, properties: OneProperties, params?: OneParams) => string,
 };
 
+export type OneMigration = {
+    version: string,                //  Semantic version "major.minor.patch".
+    description?: string,
+    path?: string,
+    up: (table: Table, params: MigrateParams) => Promise<any>,
+    down: (table: Table, params: MigrateParams) => Promise<any>,
+};
+
+export type MigrateParams = {
+    migrations?: (OneMigration | {default: OneMigration})[],
+    to?: string,                    //  Target version. Default to the latest migration.
+    dryRun?: boolean,               //  Return the migration plan without applying.
+    lockTimeout?: number,           //  Milliseconds before a migration lock is considered stale.
+};
+
+export type MigrationStep = {
+    version: string,
+    description: string,
+    direction: 'up' | 'down',
+};
+
+export type MigrateResult = {
+    from: string,
+    to: string,
+    dryRun: boolean,
+    steps: MigrationStep[],
+};
+
+export type ChildParams = {
+    defaults?: OneParams,           //  Default params for API calls via the child.
+    logger?: boolean | ((tag: string, message: string, context: {}) => void),      // Logging callback
+    senselogs?: {},                 //  SenseLogs instance for logging
+};
+
+export type SyncIndexesParams = {
+    dryRun?: boolean,               //  Return the plan without applying.
+    delay?: number,                 //  Milliseconds between index status checks. Default 5000.
+    provisioned?: {ReadCapacityUnits: number, WriteCapacityUnits: number},  //  Throughput for created indexes.
+    timeout?: number,               //  Milliseconds to wait for each index change. Default forever.
+};
+
+export type IndexStep = {
+    action: 'create' | 'delete',
+    name: string,
+    reason: 'missing' | 'changed' | 'removed',
+    update: {},                     //  GlobalSecondaryIndexUpdates entry.
+    attributes?: {}[],              //  AttributeDefinitions for created index keys.
+    applied?: boolean,
+};
+
+export type IndexPlan = {
+    steps: IndexStep[],
+    errors: string[],               //  Changes that cannot be made to an existing table.
+};
+
 export class Table {
     name: string;
+    readonly parent: Table | null;  //  Table that created this child table. Null for a root table.
     constructor(params: TableConstructorParams);
 
     addContext(context?: {}): Table;
     addModel(name: string, fields: OneModelSchema): void;
+    child(context?: {}, params?: ChildParams): Table;
 
     batchGet(batch: any, params?: OneParams): Promise<{}[]>;
     batchWrite(batch: any, params?: OneParams): Promise<{}>;
@@ -53,15 +162,24 @@ export class Table {
     deleteTable(confirmation: string): Promise<{}>;
     describeTable(): Promise<{}>;
     exists(): Promise<Boolean>;
+    export(stream: {write(data: string): boolean | void}, params?: ExportParams): Promise<{count: number}>;
     getContext(): {};
     getLog(): any;
     getKeys(): Promise<OneIndexSchema>;
     getModel<T>(name: string): Model<T>;
     getCurrentSchema(): {};
     groupByType(items: AnyEntity[], params?: OneParams): EntityGroup;
+    import(stream: AsyncIterable<string | Uint8Array> | Iterable<string | Uint8Array>, params?: ImportParams): Promise<{count: number}>;
+    parseStreamEvent<T = AnyEntity>(event: {Records?: StreamRecord[]}, params?: OneParams): StreamItem<T>[];
+    parseStreamRecord<T = AnyEntity>(record: StreamRecord, params?: OneParams): StreamItem<T> | null;
     listModels(): AnyModel[];
     listTables(): string[];
+    listMigrations(): Promise<AnyEntity[]>;
     makeID(): {};
+    migrate(params?: MigrateParams): Promise<MigrateResult>;
+    off(event: OneChangeEvent, fn: OneChangeListener): Table;
+    on(event: OneChangeEvent, fn: OneChangeListener): Table;
+    query(name: string, args?: {}, params?: OneParams): Promise<Paged<AnyEntity>>;
     readSchema(): Promise<OneSchema>;
     readSchemas(): Promise<OneSchema[]>;
     removeModel(name: string): void;
@@ -71,6 +189,7 @@ export class Table {
     setContext(context?: {}, merge?: boolean): Table;
     setLog(log: any): void;
     setSchema(schema?: OneSchema): Promise<void>;
+    syncIndexes(params?: SyncIndexesParams): Promise<IndexPlan>;
     transact(op: string, transaction: any, params?: OneParams): Promise<void>;
     ulid(): string;
     updateTable(params?: {}): Promise<{}>;
@@ -87,9 +206,13 @@ export class Table {
     find(modelName: string, properties?: OneProperties, params?: OneParams): Promise<Paged<AnyEntity>>;
     get(modelName: string, properties: OneProperties, params?: OneParams): Promise<AnyEntity | undefined>;
     init(modelName: string, properties?: OneProperties, params?: OneParams): AnyEntity;
+    iterate(modelName: string, properties: OneProperties, params: OneParams & {pages: true}): AsyncGenerator<Paged<AnyEntity>>;
+    iterate(modelName: string, properties?: OneProperties, params?: OneParams): AsyncGenerator<AnyEntity>;
     remove(modelName: string, properties: OneProperties, params?: OneParams): Promise<void>;
     scan(modelName: string, properties?: OneProperties, params?: OneParams): Promise<Paged<AnyEntity>>;
     update(modelName: string, properties: OneProperties, params?: OneParams): Promise<AnyEntity>;
 
     fetch(models: string[], properties?: OneProperties, params?: OneParams): Promise<EntityGroup>;
+    collection<T extends {[model: string]: AnyEntity} = {[model: string]: AnyEntity}>(models: (keyof T & string)[], properties?: OneProperties,
+        params?: OneParams): Promise<Collection<T>>;
 }
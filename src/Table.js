@@ -5,11 +5,13 @@
  */
 
 import Crypto from 'crypto'
+import {unmarshall} from '@aws-sdk/util-dynamodb'
 import UUID from './UUID.js'
 import ULID from './ULID.js'
 import {Expression} from './Expression.js'
 import {Schema} from './Schema.js'
 import {Metrics} from './Metrics.js'
+import {Migrate} from './Migrate.js'
 import {OneError, OneArgError} from './Error.js'
 
 /*
@@ -53,6 +55,31 @@ const DynamoOps = {
 
 const GenericModel = '_Generic'
 
+/*
+    DynamoDB batch limits and unprocessed item retry backoff (msecs)
+ */
+const BatchGetLimit = 100
+const BatchWriteLimit = 25
+const BatchRetries = 10
+const BatchBackoff = 50
+const BatchMaxBackoff = 5000
+
+/*
+    Default retry policy for transient DynamoDB errors. Used when the table or API "retry" param is set to true.
+ */
+const DefaultRetry = {
+    attempts: 5,                //  Maximum attempts including the first request
+    delay: 50,                  //  Base delay in msecs. Doubled on each retry.
+    maxDelay: 5000,             //  Maximum delay in msecs
+    jitter: 0.5,                //  Proportion of the delay to randomize
+    codes: [
+        'ProvisionedThroughputExceededException',
+        'ThrottlingException',
+        'InternalServerError',
+        'TransactionConflictException',
+    ],
+}
+
 /*
     Represent a single DynamoDB table
  */
@@ -63,6 +90,8 @@ export class Table {
             throw new OneArgError('Missing "name" property')
         }
         this.context = {}
+        this.listeners = {}
+        this.parent = null
 
         this.log = params.senselogs ? params.senselogs : new Log(params.logger)
         this.log.trace(`Loading OneTable`)
@@ -118,6 +147,18 @@ export class Table {
         if (params.monitor) {
             this.monitor = params.monitor
         }
+        if (params.hooks) {
+            this.hooks = params.hooks
+        }
+        if (params.retry !== undefined) {
+            this.retry = this.makeRetry(params.retry)
+        }
+        if (params.tenant) {
+            if (!params.tenant.field) {
+                throw new OneArgError('Missing tenant "field" property')
+            }
+            this.tenant = Object.assign({separator: '#'}, params.tenant)
+        }
         this.params = params
     }
 
@@ -159,6 +200,20 @@ export class Table {
         return this.schema.readSchemas()
     }
 
+    /*
+        Apply or revert migrations to reach the target version. See Migrate.js for params.
+     */
+    async migrate(params = {}) {
+        return await new Migrate(this, params).migrate()
+    }
+
+    /*
+        List the applied migrations in version order
+     */
+    async listMigrations() {
+        return await new Migrate(this).listApplied()
+    }
+
     async removeSchema(schema) {
         return this.schema.removeSchema(schema)
     }
@@ -210,26 +265,11 @@ export class Table {
                     collection = 'GlobalSecondaryIndexes'
                 }
                 keys = []
-                let project, projection
-                if (Array.isArray(index.project)) {
-                    projection = 'INCLUDE'
-                    project = index.project.filter(a => a != indexes.primary.hash && a != indexes.primary.sort)
-                } else if (index.project == 'keys') {
-                    projection = 'KEYS_ONLY'
-                } else {
-                    projection = 'ALL'
-                }
-                let projDef = {
+                def[collection].push({
                     IndexName: name,
                     KeySchema: keys,
-                    Projection: {
-                        ProjectionType: projection,
-                    }
-                }
-                if (project) {
-                    projDef.Projection.NonKeyAttributes = project
-                }
-                def[collection].push(projDef)
+                    Projection: this.getIndexProjection(index),
+                })
             }
             keys.push({AttributeName: index.hash || indexes.primary.hash, KeyType: 'HASH'})
 
@@ -317,25 +357,10 @@ export class Table {
                 throw new OneArgError('Cannot update table to create an LSI')
             }
             let keys = []
-            let projection, project
-
-            if (Array.isArray(create.project)) {
-                projection = 'INCLUDE'
-                project = create.project.filter(a => a != create.hash && a != create.sort)
-            } else if (create.project == 'keys') {
-                projection = 'KEYS_ONLY'
-            } else {
-                projection = 'ALL'
-            }
             let projDef = {
                 IndexName: create.name,
                 KeySchema: keys,
-                Projection: {
-                    ProjectionType: projection,
-                }
-            }
-            if (project) {
-                projDef.Projection.NonKeyAttributes = project
+                Projection: this.getIndexProjection(create),
             }
             keys.push({AttributeName: create.hash, KeyType: 'HASH'})
             def.AttributeDefinitions.push({AttributeName: create.hash, AttributeType: 'S'})
@@ -372,6 +397,179 @@ export class Table {
         }
     }
 
+    /*
+        Reconcile the table global secondary indexes with the schema indexes. DynamoDB permits only one GSI
+        change per updateTable call, so changes are applied one at a time and each is waited upon until complete.
+        Set params.dryRun to return the plan without applying it.
+    */
+    async syncIndexes(params = {}) {
+        let plan = await this.planIndexes(params)
+        this.log.info(`OneTable syncIndexes plan for "${this.name}"`, {plan})
+        if (params.dryRun) {
+            return plan
+        }
+        if (plan.errors.length) {
+            throw new OneArgError(`Cannot sync indexes for "${this.name}". ${plan.errors.join('. ')}`, {plan})
+        }
+        for (let step of plan.steps) {
+            let def = {
+                TableName: this.name,
+                GlobalSecondaryIndexUpdates: [step.update],
+            }
+            if (step.attributes) {
+                def.AttributeDefinitions = step.attributes
+            }
+            this.log.info(`OneTable syncIndexes ${step.action} index "${step.name}" for "${this.name}"`, {def})
+            if (this.V3) {
+                await this.service.updateTable(def)
+            } else {
+                await this.service.updateTable(def).promise()
+            }
+            await this.waitForIndex(step.name, step.action == 'create', params)
+            step.applied = true
+        }
+        return plan
+    }
+
+    /*
+        Compare the schema indexes with the table description and return the ordered steps to reconcile
+        the global secondary indexes. Changes that DynamoDB cannot make are returned in plan.errors.
+    */
+    async planIndexes(params = {}) {
+        let indexes = this.schema.indexes
+        if (!indexes) {
+            throw new OneArgError('Cannot sync table without schema indexes')
+        }
+        let table = (await this.describeTable()).Table
+        let plan = {steps: [], errors: []}
+        let primary = indexes.primary
+
+        if (getKey(table.KeySchema, 'HASH') != primary.hash || getKey(table.KeySchema, 'RANGE') != primary.sort) {
+            plan.errors.push('Cannot change the primary key of an existing table')
+        }
+        let globals = {}
+        for (let index of table.GlobalSecondaryIndexes || []) {
+            globals[index.IndexName] = index
+        }
+        let locals = {}
+        for (let index of table.LocalSecondaryIndexes || []) {
+            locals[index.IndexName] = index
+        }
+        let removals = [], changes = [], creates = []
+
+        for (let [name, index] of Object.entries(indexes)) {
+            if (name == 'primary') {
+                continue
+            }
+            let def = this.getIndexDefinition(name, index)
+            if (index.hash == null || index.hash == primary.hash || index.type == 'local') {
+                if (!locals[name]) {
+                    plan.errors.push(`Cannot create LSI "${name}" on an existing table`)
+                } else if (!sameIndex(locals[name], def, primary)) {
+                    plan.errors.push(`Cannot change LSI "${name}" on an existing table`)
+                }
+                if (globals[name]) {
+                    plan.errors.push(`Cannot convert GSI "${name}" to an LSI`)
+                }
+                continue
+            }
+            if (locals[name]) {
+                plan.errors.push(`Cannot convert LSI "${name}" to a GSI`)
+
+            } else if (!globals[name]) {
+                creates.push(this.makeCreateStep(def, index, table, params, 'missing'))
+
+            } else if (!sameIndex(globals[name], def, primary)) {
+                changes.push({action: 'delete', name, reason: 'changed', update: {Delete: {IndexName: name}}})
+                changes.push(this.makeCreateStep(def, index, table, params, 'changed'))
+            }
+        }
+        for (let name of Object.keys(locals)) {
+            if (!indexes[name]) {
+                plan.errors.push(`Cannot remove LSI "${name}" from an existing table`)
+            }
+        }
+        for (let name of Object.keys(globals)) {
+            if (!indexes[name]) {
+                removals.push({action: 'delete', name, reason: 'removed', update: {Delete: {IndexName: name}}})
+            }
+        }
+        //  Delete first to free index slots before creating replacement indexes
+        plan.steps = removals.concat(changes, creates)
+        return plan
+    }
+
+    /*
+        Return the DynamoDB index definition (without throughput) for a schema index
+    */
+    getIndexDefinition(name, index) {
+        let primary = this.schema.indexes.primary
+        let keys = [{AttributeName: index.hash || primary.hash, KeyType: 'HASH'}]
+        if (index.sort) {
+            keys.push({AttributeName: index.sort, KeyType: 'RANGE'})
+        }
+        return {IndexName: name, KeySchema: keys, Projection: this.getIndexProjection(index)}
+    }
+
+    /*
+        Return the DynamoDB projection for a schema index. Key attributes are always projected.
+    */
+    getIndexProjection(index) {
+        let primary = this.schema.indexes.primary
+        if (Array.isArray(index.project)) {
+            return {
+                ProjectionType: 'INCLUDE',
+                NonKeyAttributes: index.project.filter(a =>
+                    a != primary.hash && a != primary.sort && a != index.hash && a != index.sort),
+            }
+        } else if (index.project == 'keys') {
+            return {ProjectionType: 'KEYS_ONLY'}
+        }
+        return {ProjectionType: 'ALL'}
+    }
+
+    makeCreateStep(def, index, table, params, reason) {
+        let create = Object.assign({}, def)
+        let billing = table.BillingModeSummary ? table.BillingModeSummary.BillingMode : null
+        let throughput = table.ProvisionedThroughput
+        if (params.provisioned) {
+            create.ProvisionedThroughput = params.provisioned
+
+        } else if (billing != 'PAY_PER_REQUEST' && throughput && throughput.ReadCapacityUnits) {
+            create.ProvisionedThroughput = {
+                ReadCapacityUnits: throughput.ReadCapacityUnits,
+                WriteCapacityUnits: throughput.WriteCapacityUnits,
+            }
+        }
+        let attributes = []
+        for (let key of def.KeySchema) {
+            let type = this.getAttributeType(key.AttributeName) == 'number' ? 'N' : 'S'
+            attributes.push({AttributeName: key.AttributeName, AttributeType: type})
+        }
+        return {action: 'create', name: def.IndexName, reason, attributes, update: {Create: create}}
+    }
+
+    /*
+        Wait for an index to become ACTIVE (exists) or to be removed. Polls every params.delay milliseconds
+        (default 5 seconds) and gives up after params.timeout milliseconds if defined.
+    */
+    async waitForIndex(name, exists, params = {}) {
+        let delay = params.delay != null ? params.delay : 5000
+        let deadline = params.timeout ? Date.now() + params.timeout : 0
+        for (;;) {
+            let table = (await this.describeTable()).Table
+            let index = (table.GlobalSecondaryIndexes || []).find(i => i.IndexName == name)
+            let ready = exists ? (index && index.IndexStatus == 'ACTIVE') : !index
+            if (ready && (!table.TableStatus || table.TableStatus == 'ACTIVE')) {
+                return
+            }
+            if (deadline && Date.now() > deadline) {
+                throw new OneError(`Timeout waiting for index "${name}" on "${this.name}"`, {code: 'Runtime'})
+            }
+            await new Promise(resolve => setTimeout(resolve, delay))
+        }
+    }
+
     /*
         Return the raw AWS table description
     */
@@ -424,7 +622,7 @@ export class Table {
         Thows exception if model cannot be found
      */
     getModel(name) {
-        return this.schema.getModel(name)
+        return this.bindModel(this.schema.getModel(name))
     }
 
     removeModel(name) {
@@ -450,15 +648,41 @@ export class Table {
         return this
     }
 
-    /*  PROTOTYPE
-        Create a clone of the table with the same settings and replace the context
+    /*
+        Create a child table that shares the client, schema, crypto and metrics of this table but has its own
+        context, logger and default params. Models from child.getModel() resolve context from the child, so
+        a child per request isolates the context of concurrent requests. The parent link is used to notify
+        the change listeners of the parent tables.
     */
-    child(context) {
-        let table = JSON.parse(JSON.stringify(this))
-        table.context  = context
+    child(context = {}, params = {}) {
+        let table = Object.create(this)
+        table.parent = this
+        table.listeners = {}
+        table.context = context
+        table.defaults = Object.assign({}, this.defaults, params.defaults)
+        table.views = {}
+        if (params.senselogs || params.logger !== undefined) {
+            table.log = params.senselogs ? params.senselogs : new Log(params.logger)
+        }
         return table
     }
 
+    /*
+        Return a model bound to this table. Child tables use a view of the shared model so that
+        model operations use the child context, logger and default params.
+    */
+    bindModel(model) {
+        if (!this.views || model.table == this) {
+            return model
+        }
+        let view = this.views[model.name]
+        if (!view || Object.getPrototypeOf(view) != model) {
+            view = this.views[model.name] = Object.create(model)
+            view.table = this
+        }
+        return view
+    }
+
     /*
         High level model factory API
         The high level API is similar to the Model API except the model name is provided as the first parameter.
@@ -484,6 +708,19 @@ export class Table {
         return model.init(properties, params)
     }
 
+    async * iterate(modelName, properties, params) {
+        let model = this.getModel(modelName)
+        yield * model.iterate(properties, params)
+    }
+
+    /*
+        Execute a saved query from the schema "queries" section
+     */
+    async query(name, args = {}, params = {}) {
+        let query = this.schema.prepareQuery(name, args, params)
+        return await this.bindModel(query.model)[query.method](query.properties, query.params)
+    }
+
     async remove(modelName, properties, params) {
         let model = this.getModel(modelName)
         return await model.remove(properties, params)
@@ -502,17 +739,28 @@ export class Table {
     async execute(model, op, cmd, properties = {}, params = {}) {
         let mark = new Date()
         let trace = {model, cmd, op, properties}
-        let result
+        let retry = params.retry !== undefined ? this.makeRetry(params.retry, this.retry) : this.retry
+        let result, retries = 0
         try {
             if (params.stats || this.metrics || this.monitor) {
                 cmd.ReturnConsumedCapacity = params.capacity || 'INDEXES'
                 cmd.ReturnItemCollectionMetrics = 'SIZE'
             }
             this.log[params.log ? 'info' : 'trace'](`OneTable "${op}" "${model}"`, {trace})
-            if (this.V3) {
-                result = await this.client[op](cmd)
-            } else {
-                result = await this.client[DocumentClientMethods[op]](cmd).promise()
+            for (;;) {
+                try {
+                    if (this.V3) {
+                        result = await this.client[op](cmd)
+                    } else {
+                        result = await this.client[DocumentClientMethods[op]](cmd).promise()
+                    }
+                    break
+                } catch (err) {
+                    if (!retry || retries + 1 >= retry.attempts || !this.isRetryable(err, retry)) {
+                        throw err
+                    }
+                    await this.retryBackoff(model, op, err, ++retries, retry)
+                }
             }
 
         } catch (err) {
@@ -536,6 +784,9 @@ export class Table {
 
         } finally {
             if (result) {
+                if (retries) {
+                    result.Retries = retries
+                }
                 if (this.metrics) {
                     this.metrics.add(model, op, result, params, mark)
                 }
@@ -552,8 +803,54 @@ export class Table {
         return result
     }
 
+    /*
+        Make a retry policy from a "retry" param. Set to true for the default policy, false or zero to disable
+        retries, a number for the maximum attempts, or a map to override selected policy properties.
+     */
+    makeRetry(retry, base) {
+        if (!retry) {
+            return null
+        }
+        base = base || DefaultRetry
+        if (retry === true) {
+            return base
+        }
+        if (typeof retry == 'number') {
+            retry = {attempts: retry}
+        } else if (typeof retry != 'object') {
+            throw new OneArgError('Invalid "retry" policy')
+        }
+        return Object.assign({}, base, retry)
+    }
+
+    /*
+        Test if an error code is in the retry policy codes. The "Exception" suffix is optional in policy codes.
+     */
+    isRetryable(err, retry) {
+        let code = (err.name != 'Error' && err.name) || err.code
+        if (!code) {
+            return false
+        }
+        code = code.replace(/Exception$/, '')
+        return retry.codes.some(c => c.replace(/Exception$/, '') == code)
+    }
+
+    /*
+        Exponential backoff with jitter before retrying a failed request
+     */
+    async retryBackoff(model, op, err, retries, retry) {
+        let delay = Math.min(retry.delay * Math.pow(2, retries - 1), retry.maxDelay)
+        delay = Math.round(delay * (1 - retry.jitter) + Math.random() * delay * retry.jitter)
+        this.log.info(`OneTable retrying "${op}" on "${model}" after ${err.name || err.code}`, {
+            retries, delay, message: err.message,
+        })
+        await new Promise(resolve => setTimeout(resolve, delay))
+    }
+
     /*
         The low level API does not use models. It permits the reading / writing of any attribute.
+        Batches of any size are split into requests within the DynamoDB limits. Unprocessed keys and
+        items are retried with exponential backoff.
     */
     async batchGet(batch, params = {}) {
         if (Object.getOwnPropertyNames(batch).length == 0) {
@@ -572,7 +869,29 @@ export class Table {
         }
         def.ConsistentRead = params.consistent ? true : false
 
-        let result = await this.execute(GenericModel, 'batchGet', batch, {}, params)
+        let result
+        for (let RequestItems of this.splitBatch(batch.RequestItems, BatchGetLimit, 'Keys')) {
+            let retries = 0
+            do {
+                let response = await this.execute(GenericModel, 'batchGet', {RequestItems}, {}, params)
+                if (result) {
+                    for (let [tableName, items] of Object.entries(response.Responses || {})) {
+                        result.Responses[tableName] = (result.Responses[tableName] || []).concat(items)
+                    }
+                } else {
+                    result = response
+                    result.Responses = result.Responses || {}
+                }
+                RequestItems = response.UnprocessedKeys
+                if (this.hasUnprocessed(RequestItems)) {
+                    await this.batchBackoff(retries++, 'batchGet', RequestItems)
+                }
+            } while (this.hasUnprocessed(RequestItems))
+        }
+        if (!result) {
+            return []
+        }
+        result.UnprocessedKeys = {}
 
         let response = result.Responses
         if (params.parse && response) {
@@ -583,7 +902,9 @@ export class Table {
                     let type = item[this.typeField] || '_unknown'
                     let model = this.schema.models[type]
                     if (model && model != this.schema.uniqueModel) {
-                        result.push(model.transformReadItem('get', item, {}, params))
+                        model = this.bindModel(model)
+                        item = model.transformReadItem('get', item, {}, params)
+                        result.push(await model.afterHook('afterRead', item, params))
                     }
                 }
             }
@@ -595,51 +916,203 @@ export class Table {
         if (Object.getOwnPropertyNames(batch).length == 0) {
             return {}
         }
-        let more
-        do {
-            more = false
-            let response = await this.execute(GenericModel, 'batchWrite', batch, params)
-            let data = response.data
-            if (data && data.UnprocessedItems && Object.keys(data.UnprocessedItems).length) {
-                batch.RequestItems = data.UnprocessedItems
-                more = true
+        for (let RequestItems of this.splitBatch(batch.RequestItems, BatchWriteLimit)) {
+            let retries = 0
+            do {
+                let response = await this.execute(GenericModel, 'batchWrite', {RequestItems}, {}, params)
+                RequestItems = response.UnprocessedItems
+                if (this.hasUnprocessed(RequestItems)) {
+                    await this.batchBackoff(retries++, 'batchWrite', RequestItems)
+                }
+            } while (this.hasUnprocessed(RequestItems))
+        }
+        await this.runHooks(batch)
+        this.emitChanges(batch)
+    }
+
+    /*
+        Run the lifecycle "after" hooks deferred by model requests in a batch or transaction
+     */
+    async runHooks(pending) {
+        if (pending.hooks) {
+            //  Clear the list so the batch or transaction can be reused
+            let hooks = pending.hooks.splice(0)
+            for (let {model, name, item, params, prior} of hooks) {
+                await model.getHooks()[name](model, item, params, prior)
+            }
+        }
+    }
+
+    /*
+        Subscribe to successful writes on any model. The event is the write op: "put", "update" or "delete",
+        or "change" for all writes. Listeners added to a child table only receive the writes made via the child.
+     */
+    on(event, fn) {
+        let listeners = this.listeners[event] = this.listeners[event] || []
+        listeners.push(fn)
+        return this
+    }
+
+    off(event, fn) {
+        let listeners = this.listeners[event]
+        if (listeners) {
+            let index = listeners.indexOf(fn)
+            if (index >= 0) {
+                listeners.splice(index, 1)
+            }
+        }
+        return this
+    }
+
+    hasListeners() {
+        return Object.values(this.listeners).some(l => l.length > 0) || (this.parent ? this.parent.hasListeners() : false)
+    }
+
+    /*
+        Invoke the model listeners and then the listeners of the writing table and its parents for a change event.
+        Listeners are not awaited so slow listeners do not delay the write. Listener exceptions are logged and do not
+        fail the write.
+     */
+    emitChange(change) {
+        let {model, op} = change
+        let failed = (err) => {
+            this.log.error(`OneTable change listener exception for "${op}" on "${model.name}"`, {err, key: change.key})
+        }
+        let chain = [model.listeners]
+        for (let table = model.table; table; table = table.parent) {
+            chain.push(table.listeners)
+        }
+        for (let listeners of chain) {
+            for (let fn of (listeners[op] || []).concat(listeners.change || [])) {
+                try {
+                    Promise.resolve(fn(change)).catch(failed)
+                } catch (err) {
+                    failed(err)
+                }
+            }
+        }
+    }
+
+    /*
+        Emit the change events deferred by model requests in a batch or transaction
+     */
+    emitChanges(pending) {
+        if (pending.changes) {
+            //  Clear the list so the batch or transaction can be reused
+            for (let change of pending.changes.splice(0)) {
+                this.emitChange(change)
+            }
+        }
+    }
+
+    /*
+        Split batch RequestItems into a list of RequestItems that do not exceed the DynamoDB batch limit.
+        For batchGet, the "Keys" are split and the other per-table properties are copied to each request.
+     */
+    splitBatch(requestItems, limit, keys) {
+        if (!requestItems || typeof requestItems != 'object') {
+            throw new OneArgError('Invalid batch RequestItems')
+        }
+        let chunks = [], chunk = {}, count = 0
+        for (let [tableName, def] of Object.entries(requestItems)) {
+            let list = keys ? def[keys] : def
+            if (!Array.isArray(list)) {
+                throw new OneArgError(`Invalid batch request for table "${tableName}"`)
             }
-        } while (more)
+            for (let request of list) {
+                if (count == limit) {
+                    chunks.push(chunk)
+                    chunk = {}
+                    count = 0
+                }
+                if (keys) {
+                    chunk[tableName] = chunk[tableName] || Object.assign({}, def, {[keys]: []})
+                    chunk[tableName][keys].push(request)
+                } else {
+                    chunk[tableName] = chunk[tableName] || []
+                    chunk[tableName].push(request)
+                }
+                count++
+            }
+        }
+        if (count) {
+            chunks.push(chunk)
+        }
+        return chunks
+    }
+
+    hasUnprocessed(requestItems) {
+        return requestItems && Object.keys(requestItems).length > 0
+    }
+
+    /*
+        Exponential backoff with jitter before retrying unprocessed batch items
+     */
+    async batchBackoff(retries, op, unprocessed) {
+        if (retries >= BatchRetries) {
+            throw new OneError(`Unprocessed items remain for "${op}" after ${retries} retries`, {
+                code: 'Runtime', unprocessed,
+            })
+        }
+        let backoff = Math.min(BatchBackoff * Math.pow(2, retries), BatchMaxBackoff)
+        backoff = Math.round(backoff / 2 + Math.random() * backoff / 2)
+        this.log.info(`OneTable "${op}" retrying unprocessed items in ${backoff}ms`, {retries})
+        await new Promise(resolve => setTimeout(resolve, backoff))
     }
 
     async deleteItem(properties, params) {
-        return await this.schema.genericModel.deleteItem(properties, params)
+        return await this.bindModel(this.schema.genericModel).deleteItem(properties, params)
     }
 
     async getItem(properties, params) {
-        return await this.schema.genericModel.getItem(properties, params)
+        return await this.bindModel(this.schema.genericModel).getItem(properties, params)
     }
 
     async putItem(properties, params) {
-        return await this.schema.genericModel.putItem(properties, params)
+        return await this.bindModel(this.schema.genericModel).putItem(properties, params)
     }
 
     async queryItems(properties, params) {
-        return await this.schema.genericModel.queryItems(properties, params)
+        return await this.bindModel(this.schema.genericModel).queryItems(properties, params)
     }
 
     async scanItems(properties, params) {
-        return await this.schema.genericModel.scanItems(properties, params)
+        return await this.bindModel(this.schema.genericModel).scanItems(properties, params)
     }
 
     async updateItem(properties, params) {
-        return await this.schema.genericModel.updateItem(properties, params)
+        return await this.bindModel(this.schema.genericModel).updateItem(properties, params)
     }
 
     async fetch(models, properties, params) {
-        return await this.schema.genericModel.fetch(models, properties, params)
+        return await this.bindModel(this.schema.genericModel).fetch(models, properties, params)
+    }
+
+    /*
+        Fetch a page of an item collection grouped by model type. Set params.all to read all pages.
+     */
+    async collection(models, properties, params) {
+        return await this.bindModel(this.schema.genericModel).collection(models, properties, params)
     }
 
     /*
         Invoke a prepared transaction. Note: transactGet does not work on non-primary indexes.
+        Set params.token to a ClientRequestToken to make a write transaction idempotent.
      */
     async transact(op, transaction, params = {}) {
-        let result = await this.execute(GenericModel, op == 'write' ? 'transactWrite' : 'transactGet', transaction, params)
+        if (params.token && op == 'write') {
+            transaction.ClientRequestToken = params.token
+        }
+        let result
+        try {
+            result = await this.execute(GenericModel, op == 'write' ? 'transactWrite' : 'transactGet', transaction, {}, params)
+        } catch (err) {
+            throw this.getTransactionError(err, transaction) || err
+        }
+        if (op == 'write') {
+            await this.runHooks(transaction)
+            this.emitChanges(transaction)
+        }
         if (op == 'get') {
             if (params.parse) {
                 let items = []
@@ -649,7 +1122,9 @@ export class Table {
                         let type = item[this.typeField] || '_unknown'
                         let model = this.schema.models[type]
                         if (model && model != this.schema.uniqueModel) {
-                            items.push(model.transformReadItem('get', item, {}, params))
+                            model = this.bindModel(model)
+                            item = model.transformReadItem('get', item, {}, params)
+                            items.push(await model.afterHook('afterRead', item, params))
                         }
                     }
                 }
@@ -659,6 +1134,46 @@ export class Table {
         return result
     }
 
+    /*
+        Map the CancellationReasons of a cancelled transaction to a OneError with a list of the failed items.
+        Each failed item has the model name, primary key and reason code. Returns null for other errors.
+     */
+    getTransactionError(err, transaction) {
+        let cause = (err.context && err.context.err) || err
+        if (cause.name != 'TransactionCanceledException' && cause.code != 'TransactionCanceledException') {
+            return null
+        }
+        let reasons = cause.CancellationReasons
+        if (!reasons) {
+            //  The V2 SDK only provides the reason codes in the message
+            let match = /\[([^\]]*)\]\s*$/.exec(cause.message || '')
+            reasons = match ? match[1].split(',').map(code => ({Code: code.trim()})) : []
+        }
+        let {hash, sort} = this.schema.indexes.primary
+        let items = transaction.TransactItems || []
+        let models = transaction.models || []
+        let failures = []
+        reasons.forEach((reason, index) => {
+            if (!reason || !reason.Code || reason.Code == 'None') {
+                return
+            }
+            let request = items[index] ? Object.values(items[index])[0] : null
+            let key
+            if (request && request.Key) {
+                key = this.unmarshall(request.Key)
+            } else if (request && request.Item) {
+                let item = this.unmarshall(request.Item)
+                key = {[hash]: item[hash]}
+                if (sort) {
+                    key[sort] = item[sort]
+                }
+            }
+            failures.push({index, model: models[index], key, reason: reason.Code, message: reason.Message})
+        })
+        let summary = failures.map(f => `${f.model || 'item ' + f.index}: ${f.reason}`).join(', ')
+        return new OneError(`Transaction cancelled. ${summary}`, {code: 'TransactionCanceled', reasons: failures, err: cause})
+    }
+
     /*
         Convert items into a map of items by model type
     */
@@ -841,6 +1356,180 @@ export class Table {
         return item
     }
 
+    /*
+        Parse a DynamoDB Streams record. The images are unmarshalled and parsed using the model selected by the
+        item type field. Returns {eventName, model, keys, old, new, changedFields}, or null for unique field items.
+     */
+    parseStreamRecord(record, params = {}) {
+        let {eventName, dynamodb = {}} = record
+        let keys = this.unmarshallImage(dynamodb.Keys)
+        let oldImage = this.unmarshallImage(dynamodb.OldImage)
+        let newImage = this.unmarshallImage(dynamodb.NewImage)
+        let raw = newImage || oldImage || keys || {}
+        let type = raw[this.typeField]
+        if (type == this.schema.uniqueModel.name) {
+            return null
+        }
+        let model = type ? this.schema.models[type] : null
+        let tenant
+        if (model) {
+            model = this.bindModel(model)
+            params = Object.assign({parse: true}, params)
+            if (this.tenant) {
+                //  Streams contain the records of all tenants, so use the tenant prefix of the hash key
+                let hash = raw[this.schema.indexes.primary.hash]
+                let end = typeof hash == 'string' ? hash.indexOf(this.tenant.separator) : -1
+                if (end > 0) {
+                    tenant = hash.slice(0, end)
+                    let context = Object.assign({}, params.context || this.context, {[this.tenant.field]: tenant})
+                    params = Object.assign(params, {context})
+                }
+            }
+            try {
+                oldImage = oldImage ? model.transformReadItem('get', oldImage, {}, params) : oldImage
+                newImage = newImage ? model.transformReadItem('get', newImage, {}, params) : newImage
+            } catch (err) {
+                throw new OneArgError(`Cannot parse "${eventName}" stream record for "${model.name}": ${err.message}`, {
+                    model: model.name, record, err,
+                })
+            }
+        }
+        let changedFields = []
+        for (let name of new Set(Object.keys(oldImage || {}).concat(Object.keys(newImage || {})))) {
+            if (stableString(oldImage ? oldImage[name] : undefined) != stableString(newImage ? newImage[name] : undefined)) {
+                changedFields.push(name)
+            }
+        }
+        let result = {eventName, model: model ? model.name : null, keys, old: oldImage, new: newImage, changedFields}
+        if (tenant) {
+            result.tenant = tenant
+        }
+        return result
+    }
+
+    /*
+        Parse the records of a DynamoDB Streams event. Unique field items are omitted.
+     */
+    parseStreamEvent(event, params = {}) {
+        let result = []
+        for (let record of event.Records || []) {
+            let parsed = this.parseStreamRecord(record, params)
+            if (parsed) {
+                result.push(parsed)
+            }
+        }
+        return result
+    }
+
+    /*
+        Convert a stream image of DynamoDB attribute values to a Javascript object.
+        The V2 DocumentClient does not unmarshall stream images, so use the AWS SDK V3 converter.
+     */
+    unmarshallImage(image) {
+        if (!image) {
+            return undefined
+        }
+        if (this.V3) {
+            return this.client.unmarshall(image, this.client.params.unmarshall)
+        }
+        return unmarshall(image)
+    }
+
+    /*
+        Export items to a JSON Lines stream. Each line is an item in DynamoDB JSON format so that sets, binary
+        and numbers are preserved. Set params.models to export selected models. Returns {count}.
+     */
+    async export(stream, params = {}) {
+        let {models, prefix} = params
+        let model = this.bindModel(this.schema.genericModel)
+        params = Object.assign({}, params, {scan: true, pages: true, parse: false})
+        delete params.models
+        delete params.prefix
+        if (models) {
+            model.addTypeFilter(models, params)
+        }
+        let count = 0
+        for await (let items of model.iterate({}, params)) {
+            for (let item of items) {
+                if (!this.V3) {
+                    item = marshallValue(item).M
+                }
+                item = this.rewritePrefix(item, prefix)
+                if (!stream.write(JSON.stringify(encodeAttributes(item)) + '\n') && typeof stream.once == 'function') {
+                    await new Promise(resolve => stream.once('drain', resolve))
+                }
+                count++
+            }
+        }
+        return {count}
+    }
+
+    /*
+        Import items from a JSON Lines stream created by export. Items are written via batchWrite in groups of
+        params.batchSize. Set params.rate to limit the items written per second. Returns {count}.
+     */
+    async import(stream, params = {}) {
+        let {batchSize = BatchWriteLimit, models, prefix, rate} = params
+        let writeParams = Object.assign({}, params)
+        for (let name of ['batchSize', 'models', 'prefix', 'rate']) {
+            delete writeParams[name]
+        }
+        let start = Date.now()
+        let count = 0
+        let list = []
+        let write = async () => {
+            let batch = {RequestItems: {[this.name]: list}}
+            list = []
+            await this.batchWrite(batch, writeParams)
+            count += batch.RequestItems[this.name].length
+            if (rate) {
+                let delay = (count * 1000 / rate) - (Date.now() - start)
+                if (delay > 0) {
+                    await new Promise(resolve => setTimeout(resolve, delay))
+                }
+            }
+        }
+        for await (let line of readLines(stream)) {
+            let item = decodeAttributes(JSON.parse(line))
+            let type = item[this.typeField]
+            if (models && !(type && models.indexOf(type.S) >= 0)) {
+                continue
+            }
+            item = this.rewritePrefix(item, prefix)
+            if (!this.V3) {
+                item = this.marshallv2(this.unmarshallImage(item))
+            }
+            list.push({PutRequest: {Item: item}})
+            if (list.length >= batchSize) {
+                await write()
+            }
+        }
+        if (list.length) {
+            await write()
+        }
+        return {count}
+    }
+
+    /*
+        Rewrite the leading prefix of string index key attributes in a DynamoDB JSON item.
+        The prefix is of the form {from, to}.
+     */
+    rewritePrefix(item, prefix) {
+        if (!prefix) {
+            return item
+        }
+        let {from, to} = prefix
+        for (let index of Object.values(this.schema.indexes)) {
+            for (let att of [index.hash, index.sort]) {
+                let value = att ? item[att] : null
+                if (value && typeof value.S == 'string' && value.S.startsWith(from)) {
+                    item[att] = {S: to + value.S.slice(from.length)}
+                }
+            }
+        }
+        return item
+    }
+
     /*
         Recursive Object.assign. Will clone dates, regexp, simple objects and arrays.
         Other class instances and primitives are copied not cloned.
@@ -894,6 +1583,151 @@ export class Table {
     }
 }
 
+/*
+    Convert a Javascript value to a DynamoDB attribute value. Used for export with the V2 DocumentClient.
+ */
+function marshallValue(value) {
+    if (value == null) {
+        return {NULL: true}
+    } else if (typeof value == 'string') {
+        return {S: value}
+    } else if (typeof value == 'number') {
+        return {N: String(value)}
+    } else if (typeof value == 'boolean') {
+        return {BOOL: value}
+    } else if (value instanceof Uint8Array) {
+        return {B: value}
+    } else if (Array.isArray(value)) {
+        return {L: value.map(v => marshallValue(v))}
+    } else if (value.wrapperName == 'Set' && Array.isArray(value.values)) {
+        //  V2 DocumentClient set
+        if (value.type == 'Number') {
+            return {NS: value.values.map(v => String(v))}
+        }
+        return value.type == 'Binary' ? {BS: value.values} : {SS: value.values}
+    }
+    let result = {}
+    for (let [key, v] of Object.entries(value)) {
+        if (v !== undefined) {
+            result[key] = marshallValue(v)
+        }
+    }
+    return {M: result}
+}
+
+/*
+    Encode binary attribute values of a DynamoDB item as base64 strings for DynamoDB JSON
+ */
+function encodeAttributes(item) {
+    let result = {}
+    for (let [key, value] of Object.entries(item)) {
+        result[key] = encodeAttribute(value)
+    }
+    return result
+}
+
+function encodeAttribute(value) {
+    if (value.B != null) {
+        return {B: Buffer.from(value.B).toString('base64')}
+    } else if (value.BS) {
+        return {BS: value.BS.map(v => Buffer.from(v).toString('base64'))}
+    } else if (value.M) {
+        return {M: encodeAttributes(value.M)}
+    } else if (value.L) {
+        return {L: value.L.map(v => encodeAttribute(v))}
+    }
+    return value
+}
+
+/*
+    Decode the base64 binary attribute values of a DynamoDB JSON item
+ */
+function decodeAttributes(item) {
+    let result = {}
+    for (let [key, value] of Object.entries(item)) {
+        result[key] = decodeAttribute(value)
+    }
+    return result
+}
+
+function decodeAttribute(value) {
+    if (value.B != null) {
+        return {B: Buffer.from(value.B, 'base64')}
+    } else if (value.BS) {
+        return {BS: value.BS.map(v => Buffer.from(v, 'base64'))}
+    } else if (value.M) {
+        return {M: decodeAttributes(value.M)}
+    } else if (value.L) {
+        return {L: value.L.map(v => decodeAttribute(v))}
+    }
+    return value
+}
+
+/*
+    Read the non-empty lines of a stream or async iterable of strings or buffers
+ */
+async function * readLines(stream) {
+    let decoder = new TextDecoder()
+    let buffer = ''
+    for await (let chunk of stream) {
+        buffer += typeof chunk == 'string' ? chunk : decoder.decode(chunk, {stream: true})
+        let lines = buffer.split('\n')
+        buffer = lines.pop()
+        for (let line of lines) {
+            if (line.trim()) {
+                yield line
+            }
+        }
+    }
+    buffer += decoder.decode()
+    if (buffer.trim()) {
+        yield buffer
+    }
+}
+
+/*
+    Stringify a value with sorted object keys so values can be compared
+ */
+function stableString(value) {
+    return JSON.stringify(value, (key, v) => {
+        if (v instanceof Set) {
+            return Array.from(v).sort()
+        }
+        if (v != null && typeof v == 'object' && !Array.isArray(v)) {
+            let sorted = {}
+            for (let name of Object.keys(v).sort()) {
+                sorted[name] = v[name]
+            }
+            return sorted
+        }
+        return v
+    })
+}
+
+function getKey(keySchema, type) {
+    let key = (keySchema || []).find(k => k.KeyType == type)
+    return key ? key.AttributeName : undefined
+}
+
+/*
+    Test if a described table index has the same keys and projection as an index definition.
+    Key attributes are always projected, so they are ignored when comparing projected attributes.
+*/
+function sameIndex(current, def, primary) {
+    for (let type of ['HASH', 'RANGE']) {
+        if (getKey(current.KeySchema, type) != getKey(def.KeySchema, type)) {
+            return false
+        }
+    }
+    let projection = current.Projection || {}
+    if ((projection.ProjectionType || 'ALL') != def.Projection.ProjectionType) {
+        return false
+    }
+    let keys = [primary.hash, primary.sort].concat(def.KeySchema.map(k => k.AttributeName))
+    let attributes = (list) => (list || []).filter(a => keys.indexOf(a) < 0).sort().join(',')
+    return attributes(projection.NonKeyAttributes) == attributes(def.Projection.NonKeyAttributes)
+}
+
 /*
     Emulate SenseLogs API
 */
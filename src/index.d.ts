@@ -8,13 +8,19 @@ import {
     Entity,
     EntityParameters,
     Model,
+    OneEntityParams,
     OneField,
     OneIndexSchema,
     OneModelSchema,
     OneParams,
     OneProperties,
+    OneQuery,
+    OneQueryFilter,
+    OneRetry,
     OneSchema,
     OneType,
+    OneWhere,
+    OneWhereOperators,
     Paged
 } from './Model'
 
@@ -32,14 +38,20 @@ export {
     EntityParameters,
     Model,
     OneArgError,
+    OneEntityParams,
     OneError,
     OneField,
     OneIndexSchema,
     OneModelSchema,
     OneParams,
     OneProperties,
+    OneQuery,
+    OneQueryFilter,
+    OneRetry,
     OneSchema,
     OneType,
+    OneWhere,
+    OneWhereOperators,
     Paged,
     Table,
     ULID,
@@ -0,0 +1,102 @@
+/*
+    batch-limits.ts - Test batch chunking and unprocessed item retries
+ */
+import {AWS, Client, Table, print, dump, delay} from './utils/init'
+import {DefaultSchema} from './schemas'
+
+// jest.setTimeout(7200 * 1000)
+
+const MaxUsers = 260
+
+/*
+    Client that processes only half of the first request and returns the rest as unprocessed
+ */
+let unprocessed = 0
+const FlakyClient: any = Object.create(Client)
+
+FlakyClient.batchWrite = async (cmd) => {
+    let [tableName, requests] = Object.entries(cmd.RequestItems)[0] as any
+    let half = unprocessed == 0 ? Math.ceil(requests.length / 2) : requests.length
+    let result = await (Client as any).batchWrite({RequestItems: {[tableName]: requests.slice(0, half)}})
+    if (requests.length > half) {
+        unprocessed++
+        result.UnprocessedItems = {[tableName]: requests.slice(half)}
+    }
+    return result
+}
+
+FlakyClient.batchGet = async (cmd) => {
+    let [tableName, def] = Object.entries(cmd.RequestItems)[0] as any
+    let half = unprocessed == 0 ? Math.ceil(def.Keys.length / 2) : def.Keys.length
+    let result = await (Client as any).batchGet({RequestItems: {[tableName]: Object.assign({}, def, {Keys: def.Keys.slice(0, half)})}})
+    if (def.Keys.length > half) {
+        unprocessed++
+        result.UnprocessedKeys = {[tableName]: Object.assign({}, def, {Keys: def.Keys.slice(half)})}
+    }
+    return result
+}
+
+const table = new Table({
+    name: 'BatchLimitsTest',
+    client: Client,
+    schema: DefaultSchema,
+})
+const User = table.getModel('User')
+let users: any[]
+
+test('Create', async() => {
+    if (!(await table.exists())) {
+        await table.createTable()
+    }
+})
+
+test('Batch put more than 25 items', async() => {
+    let batch = {}
+    for (let i = 0; i < MaxUsers; i++) {
+        table.create('User', {name: `user-${i}`, email: `user-${i}@example.com`}, {batch})
+    }
+    await table.batchWrite(batch)
+    users = await table.scan('User')
+    expect(users.length).toBe(MaxUsers)
+})
+
+test('Batch get more than 100 items', async() => {
+    let batch = {}
+    for (let user of users) {
+        table.get('User', {id: user.id}, {batch})
+    }
+    let items: any = await table.batchGet(batch, {parse: true, hidden: false})
+    expect(items.length).toBe(MaxUsers)
+    expect(items.map(i => i.name).sort()).toEqual(users.map(u => u.name).sort())
+
+    //  Responses are merged when not parsing
+    let response: any = await table.batchGet(batch)
+    expect(response.Responses.BatchLimitsTest.length).toBe(MaxUsers)
+})
+
+test('Retry unprocessed items', async() => {
+    table.setClient(FlakyClient)
+
+    let batch = {}
+    for (let user of users.slice(0, 50)) {
+        table.remove('User', {id: user.id}, {batch})
+    }
+    await table.batchWrite(batch)
+    expect(unprocessed).toBe(1)
+    expect(await table.scan('User')).toHaveLength(MaxUsers - 50)
+
+    unprocessed = 0
+    batch = {}
+    for (let user of users) {
+        table.get('User', {id: user.id}, {batch})
+    }
+    let items: any = await table.batchGet(batch, {parse: true})
+    expect(unprocessed).toBe(1)
+    expect(items.length).toBe(MaxUsers - 50)
+
+    table.setClient(Client)
+})
+
+test('Destroy', async() => {
+    await table.deleteTable('DeleteTableForever')
+})
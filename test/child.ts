@@ -0,0 +1,110 @@
+/*
+    child.ts - Test child tables with per-request context
+ */
+import {AWS, Client, Entity, Match, Table, print, dump, delay} from './utils/init'
+import {TenantSchema} from './schemas'
+
+// jest.setTimeout(7200 * 1000)
+
+const table = new Table({
+    name: 'ChildTestTable',
+    client: Client,
+    schema: TenantSchema,
+    uuid: 'ulid',
+})
+
+type UserType = Entity<typeof TenantSchema.models.User>
+
+test('Create table', async() => {
+    if (!(await table.exists())) {
+        await table.createTable()
+        expect(await table.exists()).toBe(true)
+    }
+})
+
+test('Shared settings', async() => {
+    let child = table.child({accountId: 'a1'})
+    expect((child as any).client).toBe((table as any).client)
+    expect((child as any).schema).toBe((table as any).schema)
+    expect(child.getContext()).toEqual({accountId: 'a1'})
+    expect(table.getContext()).toEqual({})
+    expect(child.parent).toBe(table)
+    expect(child.child().parent).toBe(child)
+    expect(table.parent).toBeNull()
+
+    let User = child.getModel<UserType>('User')
+    expect(User).toBe(child.getModel('User'))
+    expect(User).not.toBe(table.getModel('User'))
+})
+
+test('Concurrent contexts', async() => {
+    let request = async (accountId, names) => {
+        let child = table.child({accountId})
+        let User = child.getModel<UserType>('User')
+        for (let name of names) {
+            //  Account ID comes from the child context
+            let user = await User.create({name, email: `${name}@example.com`})
+            expect(user.accountId).toBe(accountId)
+            await delay(1)
+        }
+        return await User.find()
+    }
+    let [first, second] = await Promise.all([
+        request('a1', ['alice', 'bob', 'carol']),
+        request('a2', ['dave', 'eve']),
+    ])
+    expect(first.map(u => u.name).sort()).toEqual(['alice', 'bob', 'carol'])
+    expect(first.every(u => u.accountId == 'a1')).toBe(true)
+    expect(second.map(u => u.name).sort()).toEqual(['dave', 'eve'])
+    expect(table.getContext()).toEqual({})
+
+    //  High level and low level table APIs use the child context
+    let child = table.child({accountId: 'a2'})
+    let users = await child.find('User', {})
+    expect(users.length).toBe(2)
+    let items = await child.queryItems({pk: 'Account#a2'}, {parse: true})
+    expect(items.length).toBe(2)
+})
+
+test('Child context APIs', async() => {
+    let child = table.child({accountId: 'a1'})
+    child.addContext({color: 'blue'})
+    expect(child.getContext()).toEqual({accountId: 'a1', color: 'blue'})
+    child.clearContext()
+    expect(child.getContext()).toEqual({})
+    expect(table.getContext()).toEqual({})
+})
+
+test('Child logger and default params', async() => {
+    let messages: string[] = []
+    let child = table.child({accountId: 'a1'}, {
+        defaults: {hidden: true, log: true},
+        logger: (level, message, context) => {
+            messages.push(`${level}: ${message}`)
+        },
+    })
+    let User = child.getModel<UserType>('User')
+    let user: any = await User.get({email: 'alice@example.com'}, {index: 'gs1', follow: true})
+    expect(user.pk).toBe('Account#a1')
+    expect(messages.find(m => m.indexOf('info: OneTable "find" "User"') == 0)).toBeDefined()
+
+    //  Parent is unchanged
+    user = await table.getModel<UserType>('User').get({accountId: 'a1', email: 'alice@example.com'}, {
+        index: 'gs1', follow: true,
+    })
+    expect(user.pk).toBeUndefined()
+
+    //  Explicit params override defaults
+    user = await User.get({email: 'alice@example.com'}, {index: 'gs1', follow: true, hidden: false})
+    expect(user.pk).toBeUndefined()
+
+    //  Nested children inherit defaults
+    let grandchild = child.child({accountId: 'a2'}, {defaults: {log: false}})
+    user = await grandchild.getModel<UserType>('User').get({email: 'dave@example.com'}, {index: 'gs1', follow: true})
+    expect(user.pk).toBe('Account#a2')
+})
+
+test('Destroy Table', async() => {
+    await table.deleteTable('DeleteTableForever')
+    expect(await table.exists()).toBe(false)
+})
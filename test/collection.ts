@@ -0,0 +1,114 @@
+/*
+    collection.ts - Test paginated item collection fetch
+ */
+import {AWS, Client, Entity, Match, Model, Table, print, dump, delay} from './utils/init'
+
+// jest.setTimeout(7200 * 1000)
+
+const schema = {
+    version: '0.0.1',
+    indexes: {
+        primary: { hash: 'pk', sort: 'sk' },
+    },
+    models: {
+        Account: {
+            pk:         { type: String, value: 'account#${id}' },
+            sk:         { type: String, value: 'account#' },
+            id:         { type: String, required: true },
+            name:       { type: String },
+        },
+        User: {
+            pk:         { type: String, value: 'account#${accountId}' },
+            sk:         { type: String, value: 'user#${email}' },
+            accountId:  { type: String, required: true },
+            email:      { type: String, required: true },
+        },
+        Invoice: {
+            pk:         { type: String, value: 'account#${accountId}' },
+            sk:         { type: String, value: 'invoice#${number}' },
+            accountId:  { type: String, required: true },
+            number:     { type: Number, required: true },
+        },
+    } as const,
+    params: {
+        timestamps: false,
+    },
+}
+
+const table = new Table({
+    name: 'CollectionTestTable',
+    client: Client,
+    schema,
+})
+
+type AccountType = Entity<typeof schema.models.Account>
+type UserType = Entity<typeof schema.models.User>
+type InvoiceType = Entity<typeof schema.models.Invoice>
+type AccountCollection = {Account: AccountType, User: UserType}
+
+const MaxUsers = 12
+
+test('Create Table', async() => {
+    if (!(await table.exists())) {
+        await table.createTable()
+        expect(await table.exists()).toBe(true)
+    }
+    await table.create('Account', {id: 'a1', name: 'Acme'})
+    await table.create('Invoice', {accountId: 'a1', number: 1})
+    for (let i = 0; i < MaxUsers; i++) {
+        await table.create('User', {accountId: 'a1', email: `user-${i.toString().padStart(2, '0')}@acme.com`})
+    }
+})
+
+test('Whole collection', async() => {
+    let collection = await table.collection<AccountCollection>(['Account', 'User'], {pk: 'account#a1'})
+    expect(collection.Account).toHaveLength(1)
+    expect(collection.Account[0].name).toBe('Acme')
+    expect(collection.User).toHaveLength(MaxUsers)
+    expect(collection.next).toBeUndefined()
+    expect(Object.keys(collection)).toEqual(['Account', 'User'])
+
+    let email: string = collection.User[0].email
+    expect(email).toBe('user-00@acme.com')
+})
+
+test('Empty model lists', async() => {
+    let collection = await table.collection<{Invoice: InvoiceType}>(['Invoice'], {pk: 'account#a2'})
+    expect(collection.Invoice).toEqual([])
+})
+
+test('Paginate', async() => {
+    let names: string[] = []
+    let pages = 0
+    let next
+    do {
+        let collection = await table.collection<AccountCollection>(['Account', 'User'], {pk: 'account#a1'}, {limit: 5, next})
+        names = names.concat(collection.Account.map(a => a.name), collection.User.map(u => u.email))
+        next = collection.next
+        pages++
+    } while (next)
+
+    expect(pages).toBe(3)
+    expect(names).toHaveLength(MaxUsers + 1)
+    expect(names[0]).toBe('Acme')
+})
+
+test('All pages', async() => {
+    let collection = await table.collection<AccountCollection>(['Account', 'User'], {pk: 'account#a1'}, {limit: 5, all: true})
+    expect(collection.Account).toHaveLength(1)
+    expect(collection.User).toHaveLength(MaxUsers)
+    expect(collection.next).toBeUndefined()
+})
+
+test('Hidden', async() => {
+    let collection: any = await table.collection(['Account'], {pk: 'account#a1'}, {hidden: false})
+    expect(collection.Account[0].pk).toBeUndefined()
+
+    collection = await table.collection(['Account'], {pk: 'account#a1'}, {hidden: true})
+    expect(collection.Account[0].pk).toBe('account#a1')
+})
+
+test('Destroy Table', async() => {
+    await table.deleteTable('DeleteTableForever')
+    expect(await table.exists()).toBe(false)
+})
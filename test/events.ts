@@ -0,0 +1,241 @@
+/*
+    events.ts - Test change listeners for writes
+ */
+import {AWS, Client, Entity, Match, Model, Table, print, dump, delay} from './utils/init'
+
+// jest.setTimeout(7200 * 1000)
+
+const schema = {
+    version: '0.0.1',
+    indexes: {
+        primary: { hash: 'pk', sort: 'sk' },
+    },
+    models: {
+        User: {
+            pk:         { type: String, value: 'user#${email}' },
+            sk:         { type: String, value: 'user#' },
+            email:      { type: String, required: true, unique: true },
+            name:       { type: String },
+        },
+        Post: {
+            pk:         { type: String, value: 'post#${id}' },
+            sk:         { type: String, value: 'post#' },
+            id:         { type: String, required: true },
+            title:      { type: String },
+        },
+        Note: {
+            pk:         { type: String, value: 'note#${id}' },
+            sk:         { type: String, value: 'note#' },
+            id:         { type: String, required: true },
+            text:       { type: String },
+            removed:    { type: Date, softDelete: true },
+        },
+    } as const,
+    params: {
+        timestamps: false,
+    },
+}
+
+let errors: any[] = []
+
+const table = new Table({
+    name: 'EventsTestTable',
+    client: Client,
+    schema,
+    logger: (level, message, context) => {
+        if (level == 'error') {
+            errors.push({message, context})
+        }
+    },
+})
+
+type UserType = Entity<typeof schema.models.User>
+type PostType = Entity<typeof schema.models.Post>
+type NoteType = Entity<typeof schema.models.Note>
+
+const User = table.getModel<UserType>('User')
+const Post = table.getModel<PostType>('Post')
+const Note = table.getModel<NoteType>('Note')
+
+let changes: any[] = []
+const onChange = (change) => { changes.push(change) }
+
+test('Create Table', async() => {
+    if (!(await table.exists())) {
+        await table.createTable()
+        expect(await table.exists()).toBe(true)
+    }
+})
+
+test('Table listener', async() => {
+    table.on('change', onChange)
+
+    await User.create({email: 'alice@example.com', name: 'Alice'})
+    expect(changes).toHaveLength(1)
+    let change = changes[0]
+    expect(change.op).toBe('put')
+    expect(change.model.name).toBe('User')
+    expect(change.key).toEqual({pk: 'user#alice@example.com', sk: 'user#'})
+    expect(change.properties.name).toBe('Alice')
+    expect(change.item.name).toBe('Alice')
+
+    await Post.update({id: 'p1', title: 'First'}, {exists: null})
+    expect(changes[1].op).toBe('update')
+    expect(changes[1].key).toEqual({pk: 'post#p1', sk: 'post#'})
+    expect(changes[1].item.title).toBe('First')
+
+    await Post.remove({id: 'p1'})
+    expect(changes[2].op).toBe('delete')
+    expect(changes[2].model.name).toBe('Post')
+
+    //  Reads are not emitted
+    await User.get({email: 'alice@example.com'})
+    expect(changes).toHaveLength(3)
+})
+
+test('Model listener', async() => {
+    let updates: any[] = []
+    let onUpdate = async (change) => {
+        await delay(1)
+        updates.push(change.item.name)
+    }
+    User.on('update', onUpdate)
+    changes = []
+
+    await User.update({email: 'alice@example.com', name: 'Alicia'})
+    await Post.update({id: 'p2', title: 'Second'}, {exists: null})
+    //  Async listeners are not awaited by the write
+    expect(updates).toEqual([])
+    await delay(20)
+    expect(updates).toEqual(['Alicia'])
+    expect(changes).toHaveLength(2)
+
+    User.off('update', onUpdate)
+    await User.update({email: 'alice@example.com', name: 'Alice'})
+    expect(updates).toEqual(['Alicia'])
+    expect(changes).toHaveLength(3)
+})
+
+test('Listener errors and slow listeners', async() => {
+    let thrower = () => { throw new Error('Listener failed') }
+    let rejecter = async () => { throw new Error('Listener rejected') }
+    let never = () => new Promise<void>(() => {})
+    Post.on('put', thrower)
+    Post.on('put', rejecter)
+    Post.on('put', never)
+    changes = []
+    errors = []
+
+    let post = await Post.create({id: 'p7', title: 'Seventh'})
+    expect(post.title).toBe('Seventh')
+    //  Later listeners are still invoked
+    expect(changes).toHaveLength(1)
+
+    await delay(1)
+    expect(errors.map(e => e.context.err.message).sort()).toEqual(['Listener failed', 'Listener rejected'])
+    expect(errors[0].message).toMatch(/change listener exception for "put" on "Post"/)
+
+    let batch = {}
+    await Post.remove({id: 'p7'}, {batch})
+    Post.on('delete', thrower)
+    await table.batchWrite(batch)
+    expect(changes).toHaveLength(2)
+    expect(errors).toHaveLength(3)
+
+    Post.off('put', thrower)
+    Post.off('put', rejecter)
+    Post.off('put', never)
+    Post.off('delete', thrower)
+})
+
+test('Not emitted', async() => {
+    changes = []
+    await Post.create({id: 'p9', title: 'None'}, {execute: false})
+    await expect(User.create({email: 'alice@example.com', name: 'Duplicate'})).rejects.toThrow()
+    await expect(Post.update({id: 'missing', title: 'None'})).rejects.toThrow()
+    expect(changes).toHaveLength(0)
+})
+
+test('Batch', async() => {
+    changes = []
+    let batch = {}
+    await Post.create({id: 'p3', title: 'Third'}, {batch})
+    await Post.remove({id: 'p2'}, {batch})
+    expect(changes).toHaveLength(0)
+
+    await table.batchWrite(batch)
+    expect(changes.map(c => c.op)).toEqual(['put', 'delete'])
+    expect(changes[0].key).toEqual({pk: 'post#p3', sk: 'post#'})
+    expect(changes[1].key).toEqual({pk: 'post#p2', sk: 'post#'})
+})
+
+test('Transaction', async() => {
+    changes = []
+    let transaction = {}
+    await Post.create({id: 'p4', title: 'Fourth'}, {transaction})
+    await User.update({email: 'alice@example.com', name: 'Ally'}, {transaction})
+    expect(changes).toHaveLength(0)
+
+    await table.transact('write', transaction)
+    expect(changes.map(c => `${c.model.name}:${c.op}`)).toEqual(['Post:put', 'User:update'])
+
+    //  Failed transactions are not emitted
+    changes = []
+    transaction = {}
+    await Post.create({id: 'p5', title: 'Fifth'}, {transaction})
+    await Post.update({id: 'missing', title: 'None'}, {transaction})
+    await expect(table.transact('write', transaction)).rejects.toThrow()
+    expect(changes).toHaveLength(0)
+})
+
+test('Child tables', async() => {
+    changes = []
+    let child = table.child({})
+    await child.create('Post', {id: 'p6', title: 'Sixth'})
+    expect(changes).toHaveLength(1)
+    expect(changes[0].key).toEqual({pk: 'post#p6', sk: 'post#'})
+
+    table.off('change', onChange)
+    await child.remove('Post', {id: 'p6'})
+    expect(changes).toHaveLength(1)
+})
+
+test('Child table listeners', async() => {
+    let parentChanges: any[] = [], firstChanges: any[] = [], secondChanges: any[] = []
+    let first = table.child({})
+    let second = table.child({})
+    let onParent = (change) => { parentChanges.push(change.key.pk) }
+    table.on('change', onParent)
+    first.on('change', (change) => { firstChanges.push(change.key.pk) })
+    second.on('change', (change) => { secondChanges.push(change.key.pk) })
+
+    await first.create('Post', {id: 'c1', title: 'First'})
+    await second.getModel('Post').create({id: 'c2', title: 'Second'})
+    await Post.create({id: 'c3', title: 'Third'})
+
+    let batch = {}
+    await first.getModel('Post').remove({id: 'c1'}, {batch})
+    await table.batchWrite(batch)
+
+    expect(firstChanges).toEqual(['post#c1', 'post#c1'])
+    expect(secondChanges).toEqual(['post#c2'])
+    expect(parentChanges).toEqual(['post#c1', 'post#c2', 'post#c3', 'post#c1'])
+    table.off('change', onParent)
+    expect((table as any).hasListeners()).toBe(false)
+})
+
+test('Soft delete', async() => {
+    changes = []
+    table.on('change', onChange)
+    await Note.create({id: 'n1', text: 'Note'})
+    await Note.remove({id: 'n1'})
+    await Note.restore({id: 'n1'})
+    expect(changes.map(c => c.op)).toEqual(['put', 'delete', 'update'])
+    expect(changes[1].key).toEqual({pk: 'note#n1', sk: 'note#'})
+    table.off('change', onChange)
+})
+
+test('Destroy Table', async() => {
+    await table.deleteTable('DeleteTableForever')
+    expect(await table.exists()).toBe(false)
+})
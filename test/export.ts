@@ -0,0 +1,178 @@
+/*
+    export.ts - Test table export and import to JSON Lines
+ */
+import {Readable} from 'stream'
+import {AWS, Client, Entity, Match, Model, Table, print, dump, delay} from './utils/init'
+
+// jest.setTimeout(7200 * 1000)
+
+const schema = {
+    version: '0.0.1',
+    indexes: {
+        primary: { hash: 'pk', sort: 'sk' },
+        gs1: { hash: 'gs1pk', sort: 'gs1sk', project: 'all' },
+    },
+    models: {
+        User: {
+            pk:         { type: String, value: 'dev#user#${email}' },
+            sk:         { type: String, value: 'user#' },
+            email:      { type: String, required: true },
+            name:       { type: String },
+            balance:    { type: Number },
+            tags:       { type: Set },
+            scores:     { type: Set },
+            blobs:      { type: Set },
+            address:    { type: Object },
+            gs1pk:      { type: String, value: 'dev#users' },
+            gs1sk:      { type: String, value: 'user#${email}' },
+        },
+        Post: {
+            pk:         { type: String, value: 'dev#post#${id}' },
+            sk:         { type: String, value: 'post#' },
+            id:         { type: String, required: true },
+            title:      { type: String },
+        },
+    } as const,
+    params: {
+        timestamps: false,
+    },
+}
+
+const source = new Table({
+    name: 'ExportSourceTestTable',
+    client: Client,
+    schema,
+})
+
+const target = new Table({
+    name: 'ExportTargetTestTable',
+    client: Client,
+    schema,
+})
+
+type UserType = Entity<typeof schema.models.User>
+
+const Blobs = [Buffer.from([0, 1, 2]), Buffer.from([254, 255])]
+
+function makeWriter() {
+    let lines: string[] = []
+    return {
+        lines,
+        write(data: string) {
+            lines.push(data)
+            return true
+        },
+    }
+}
+
+test('Create Tables', async() => {
+    for (let table of [source, target]) {
+        if (!(await table.exists())) {
+            await table.createTable()
+            expect(await table.exists()).toBe(true)
+        }
+    }
+    await source.create('User', {
+        email: 'alice@example.com',
+        name: 'Alice',
+        balance: 12.5,
+        tags: new Set(['a', 'b']),
+        scores: new Set([1, 2]),
+        blobs: new Set(Blobs),
+        address: {city: 'Paris', zip: 75001},
+    })
+    await source.create('User', {email: 'bob@example.com', name: 'Bøb 😀', balance: 0})
+    for (let i = 0; i < 5; i++) {
+        await source.create('Post', {id: `p${i}`, title: `Post ${i}`})
+    }
+})
+
+test('Export', async() => {
+    let writer = makeWriter()
+    let result = await source.export(writer)
+    expect(result.count).toBe(7)
+    expect(writer.lines).toHaveLength(7)
+    expect(writer.lines.every(line => line.endsWith('\n'))).toBe(true)
+
+    let items = writer.lines.map(line => JSON.parse(line))
+    let alice = items.find(item => item.email && item.email.S == 'alice@example.com')
+    expect(alice.pk).toEqual({S: 'dev#user#alice@example.com'})
+    expect(alice.balance).toEqual({N: '12.5'})
+    expect(alice.tags.SS.sort()).toEqual(['a', 'b'])
+    expect(alice.scores.NS.sort()).toEqual(['1', '2'])
+    expect(alice.blobs.BS.sort()).toEqual(Blobs.map(b => b.toString('base64')).sort())
+    expect(alice.address).toEqual({M: {city: {S: 'Paris'}, zip: {N: '75001'}}})
+})
+
+test('Export models and where', async() => {
+    let writer = makeWriter()
+    let result = await source.export(writer, {models: ['User']})
+    expect(result.count).toBe(2)
+
+    writer = makeWriter()
+    result = await source.export(writer, {models: ['User'], where: '${balance} > {1}'})
+    expect(result.count).toBe(1)
+    expect(JSON.parse(writer.lines[0]).name).toEqual({S: 'Alice'})
+})
+
+test('Import', async() => {
+    let writer = makeWriter()
+    await source.export(writer, {models: ['User'], prefix: {from: 'dev#', to: 'prod#'}})
+    expect(writer.lines.map(line => JSON.parse(line).gs1pk.S)).toEqual(['prod#users', 'prod#users'])
+
+    //  Split lines and multibyte characters across chunks
+    let data = Buffer.from(writer.lines.join(''))
+    let chunks: Buffer[] = []
+    for (let i = 0; i < data.length; i += 5) {
+        chunks.push(data.subarray(i, i + 5))
+    }
+    let result = await target.import(Readable.from(chunks))
+    expect(result.count).toBe(2)
+
+    let raw: any = await target.getItem({pk: 'prod#user#alice@example.com', sk: 'user#'}, {parse: false})
+    expect(raw).toBeDefined()
+
+    let User = target.getModel<UserType>('User')
+    let users = await User.scan({})
+    let alice = users.find(user => user.name == 'Alice')!
+    expect(alice.balance).toBe(12.5)
+    expect(alice.tags).toEqual(new Set(['a', 'b']))
+    expect(alice.scores).toEqual(new Set([1, 2]))
+    expect(Array.from(alice.blobs as any, (b: any) => Buffer.from(b).toString('hex')).sort()).toEqual(['000102', 'feff'])
+    expect(alice.address).toEqual({city: 'Paris', zip: 75001})
+    expect(users.find(user => user.email == 'bob@example.com')!.name).toBe('Bøb 😀')
+})
+
+test('Import models, batch size and rate', async() => {
+    let writer = makeWriter()
+    await source.export(writer)
+
+    //  Freeze the clock and record the requested throttle delays instead of waiting
+    let delays: number[] = []
+    let now = jest.spyOn(Date, 'now').mockReturnValue(1000)
+    let timer = jest.spyOn(global, 'setTimeout').mockImplementation(((fn, ms) => {
+        delays.push(ms)
+        fn()
+        return 0
+    }) as any)
+    let result
+    try {
+        result = await target.import(writer.lines, {models: ['Post'], batchSize: 2, rate: 20})
+    } finally {
+        now.mockRestore()
+        timer.mockRestore()
+    }
+    expect(result.count).toBe(5)
+    //  20 items per second is 50ms per item: batches of 2, 2 and 1 items
+    expect(delays).toEqual([100, 200, 250])
+
+    let posts = await target.scan('Post', {})
+    expect(posts.map(p => p.title).sort()).toEqual(['Post 0', 'Post 1', 'Post 2', 'Post 3', 'Post 4'])
+})
+
+test('Destroy Tables', async() => {
+    for (let table of [source, target]) {
+        await table.deleteTable('DeleteTableForever')
+        expect(await table.exists()).toBe(false)
+    }
+})
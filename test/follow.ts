@@ -0,0 +1,156 @@
+/*
+    follow.ts - Test batched GSI follow
+ */
+import {AWS, Client, Entity, Match, Model, Table, print, dump, delay} from './utils/init'
+
+// jest.setTimeout(7200 * 1000)
+
+const schema = {
+    version: '0.0.1',
+    indexes: {
+        primary: { hash: 'pk', sort: 'sk' },
+        gs1: { hash: 'gs1pk', sort: 'gs1sk', project: 'keys', follow: true },
+    },
+    models: {
+        User: {
+            pk:         { type: String, value: 'user#${id}' },
+            sk:         { type: String, value: 'user#' },
+            id:         { type: String },
+            name:       { type: String },
+            email:      { type: String },
+            gs1pk:      { type: String, value: 'users' },
+            gs1sk:      { type: String, value: 'user#${name}' },
+        },
+        Doc: {
+            pk:         { type: String, value: 'doc#${id}' },
+            sk:         { type: String, value: 'doc#' },
+            id:         { type: String },
+            title:      { type: String },
+            removed:    { type: Date, softDelete: true },
+            gs1pk:      { type: String, value: 'docs' },
+            gs1sk:      { type: String, value: 'doc#${id}' },
+        },
+    } as const,
+    params: {
+        timestamps: false,
+    },
+}
+
+const table = new Table({
+    name: 'FollowTestTable',
+    client: Client,
+    schema,
+})
+
+type UserType = Entity<typeof schema.models.User>
+type DocType = Entity<typeof schema.models.Doc>
+const User = table.getModel<UserType>('User')
+const Doc = table.getModel<DocType>('Doc')
+
+const MaxUsers = 120
+
+//  Record the DynamoDB operations and optionally intercept batchGet requests
+let t: any = table
+let execute = t.execute
+let ops: string[] = []
+let cmds: any[] = []
+let onBatch: null | ((cmd: any, run: (cmd: any) => Promise<any>) => Promise<any>) = null
+
+t.execute = async function(model, op, cmd, ...args) {
+    ops.push(op)
+    let run = (cmd) => execute.call(this, model, op, cmd, ...args)
+    if (op == 'batchGet') {
+        cmds.push(cmd)
+        if (onBatch) {
+            let fn = onBatch
+            onBatch = null
+            return await fn(cmd, run)
+        }
+    }
+    return await run(cmd)
+}
+
+function names(count) {
+    return Array.from({length: count}, (_, i) => `user-${i.toString().padStart(3, '0')}`)
+}
+
+test('Create Table', async() => {
+    if (!(await table.exists())) {
+        await table.createTable()
+        expect(await table.exists()).toBe(true)
+    }
+    //  Ids in the reverse order of names so the primary and index orders differ
+    for (let [i, name] of names(MaxUsers).entries()) {
+        await User.create({id: `id-${(MaxUsers - i).toString().padStart(3, '0')}`, name, email: `${name}@example.com`})
+    }
+})
+
+test('Follow with batch get', async() => {
+    ops = []
+    let users = await User.find({}, {index: 'gs1'})
+    expect(users.map(u => u.name)).toEqual(names(MaxUsers))
+    expect(users[0].email).toBe('user-000@example.com')
+    expect(users[0].id).toBe(`id-${MaxUsers}`)
+
+    expect(ops.filter(op => op == 'get')).toHaveLength(0)
+    expect(ops.filter(op => op == 'batchGet')).toHaveLength(2)
+})
+
+test('Order', async() => {
+    let users = await User.find({}, {index: 'gs1', reverse: true, limit: 10})
+    expect(users.map(u => u.name)).toEqual(names(MaxUsers).reverse().slice(0, 10))
+    expect(users.next).toBeDefined()
+})
+
+test('Fields and consistent', async() => {
+    cmds = []
+    let users = await User.find({}, {index: 'gs1', limit: 5, fields: ['name'], consistent: true})
+    expect(users.map(u => u.name)).toEqual(names(5))
+    expect(users[0].email).toBeUndefined()
+    expect(cmds[0].RequestItems.FollowTestTable.ConsistentRead).toBe(true)
+})
+
+test('Unprocessed keys', async() => {
+    onBatch = async (cmd, run) => {
+        let def = cmd.RequestItems.FollowTestTable
+        let result = await run({RequestItems: {FollowTestTable: Object.assign({}, def, {Keys: def.Keys.slice(0, 3)})}})
+        result.UnprocessedKeys = {FollowTestTable: Object.assign({}, def, {Keys: def.Keys.slice(3)})}
+        return result
+    }
+    ops = []
+    let users = await User.find({}, {index: 'gs1', limit: 10})
+    expect(users.map(u => u.name)).toEqual(names(10))
+    expect(ops.filter(op => op == 'batchGet')).toHaveLength(2)
+})
+
+test('Items deleted before follow', async() => {
+    onBatch = async (cmd, run) => {
+        await User.remove({id: `id-${MaxUsers - 1}`})
+        return await run(cmd)
+    }
+    let users = await User.find({}, {index: 'gs1', limit: 4})
+    expect(users.map(u => u.name)).toEqual(['user-000', 'user-002', 'user-003'])
+})
+
+test('Soft deleted items with fields', async() => {
+    for (let id of ['d1', 'd2', 'd3']) {
+        await Doc.create({id, title: `Doc ${id}`})
+    }
+    await Doc.remove({id: 'd2'})
+
+    let docs = await Doc.find({}, {index: 'gs1', fields: ['title']})
+    expect(docs.map(d => d.title)).toEqual(['Doc d1', 'Doc d3'])
+    expect(docs[0].removed).toBeUndefined()
+
+    docs = await Doc.find({}, {index: 'gs1', fields: ['title'], deleted: true})
+    expect(docs.map(d => d.title)).toEqual(['Doc d1', 'Doc d2', 'Doc d3'])
+
+    docs = await Doc.find({}, {index: 'gs1', fields: ['title', 'removed']})
+    expect(docs.map(d => d.title)).toEqual(['Doc d1', 'Doc d3'])
+})
+
+test('Destroy Table', async() => {
+    t.execute = execute
+    await table.deleteTable('DeleteTableForever')
+    expect(await table.exists()).toBe(false)
+})
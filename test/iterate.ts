@@ -0,0 +1,129 @@
+/*
+    iterate.ts - Test async iteration over find and scan results
+ */
+import {AWS, Client, Entity, Match, Table, print, dump, delay} from './utils/init'
+import {PagedSchema} from './schemas'
+
+// jest.setTimeout(7200 * 1000)
+
+const MaxUsers = 120
+const PerPage = 25
+
+const table = new Table({
+    name: 'IterateTestTable',
+    client: Client,
+    schema: PagedSchema,
+})
+
+type UserEntity = Entity<typeof PagedSchema.models.User>
+
+let User = table.getModel<UserEntity>('User')
+
+function zpad(n: number, size: number): string {
+    let s = n + ''
+    while (s.length < size) s = '0' + s
+    return s
+}
+
+test('Create Table', async() => {
+    if (!(await table.exists())) {
+        await table.createTable()
+        expect(await table.exists()).toBe(true)
+    }
+})
+
+test('Create Users', async() => {
+    for (let i = 0; i < MaxUsers; i++) {
+        await User.create({name: `user-${zpad(i, 6)}`})
+    }
+})
+
+test('Iterate items', async() => {
+    let count = 0
+    for await (let user of User.iterate({})) {
+        expect(user.name).toBe(`user-${zpad(count, 6)}`)
+        count++
+    }
+    expect(count).toBe(MaxUsers)
+})
+
+test('Iterate pages', async() => {
+    let pages = 0, count = 0
+    for await (let page of User.iterate({}, {limit: MaxUsers, pages: true, stats: {}})) {
+        pages++
+        count += page.length
+    }
+    expect(count).toBe(MaxUsers)
+    expect(pages).toBeGreaterThanOrEqual(1)
+})
+
+test('Iterate with limit', async() => {
+    let items = []
+    for await (let user of User.iterate({}, {limit: PerPage})) {
+        items.push(user)
+    }
+    expect(items.length).toBe(PerPage)
+})
+
+test('Iterate with next and maxPages', async() => {
+    let first = await User.find({}, {limit: PerPage})
+    let pages = []
+    let iterator = User.iterate({}, {next: first.next, pages: true, maxPages: 2})
+    for await (let page of iterator) {
+        pages.push(page)
+    }
+    expect(pages.length).toBeLessThanOrEqual(2)
+    expect(pages[0][0].name).toBe(`user-${zpad(PerPage, 6)}`)
+})
+
+test('Iterate reverse', async() => {
+    let count = 0
+    for await (let user of User.iterate({}, {reverse: true})) {
+        expect(user.name).toBe(`user-${zpad(MaxUsers - count - 1, 6)}`)
+        count++
+    }
+    expect(count).toBe(MaxUsers)
+})
+
+test('Iterate with stats', async() => {
+    let stats: any = {}
+    let count = 0
+    for await (let user of User.iterate({}, {stats})) {
+        count++
+    }
+    expect(count).toBe(MaxUsers)
+    expect(stats.count).toBe(MaxUsers)
+    expect(stats.scanned).toBe(MaxUsers)
+})
+
+test('Iterate scan', async() => {
+    let count = 0
+    for await (let item of table.iterate('User', {}, {scan: true})) {
+        expect(item.name).toMatch(/^user-/)
+        count++
+    }
+    expect(count).toBe(MaxUsers)
+})
+
+test('Iterate with early exit', async() => {
+    let count = 0
+    for await (let user of User.iterate({}, {limit: 10, pages: false})) {
+        if (++count == 5) {
+            break
+        }
+    }
+    expect(count).toBe(5)
+})
+
+test('Iterate in batch throws', async() => {
+    await expect(async() => {
+        for await (let user of User.iterate({}, {batch: {}})) {
+            expect(user).toBeUndefined()
+        }
+    }).rejects.toThrow()
+})
+
+test('Destroy Table', async() => {
+    await table.deleteTable('DeleteTableForever')
+    expect(await table.exists()).toBe(false)
+})
@@ -0,0 +1,208 @@
+/*
+    lifecycle.ts - Test per-model lifecycle hooks
+ */
+import {AWS, Client, Entity, Match, Model, Table, print, dump, delay} from './utils/init'
+
+// jest.setTimeout(7200 * 1000)
+
+const schema = {
+    version: '0.0.1',
+    indexes: {
+        primary: { hash: 'pk', sort: 'sk' },
+    },
+    models: {
+        User: {
+            pk:         { type: String, value: 'user#' },
+            sk:         { type: String, value: 'user#${name}' },
+            name:       { type: String },
+            email:      { type: String },
+            status:     { type: String },
+            visits:     { type: Number },
+        },
+        Post: {
+            pk:         { type: String, value: 'post#' },
+            sk:         { type: String, value: 'post#${title}' },
+            title:      { type: String },
+        },
+    } as const,
+    params: {
+        timestamps: false,
+    },
+}
+
+type UserType = Entity<typeof schema.models.User>
+type PostType = Entity<typeof schema.models.Post>
+
+let calls: any[] = []
+
+const table = new Table({
+    name: 'LifecycleTestTable',
+    client: Client,
+    schema,
+    hooks: {
+        User: {
+            beforeCreate: async (model, properties, params) => {
+                calls.push(['beforeCreate', properties.name])
+                if (properties.name == 'Mallory') {
+                    return false
+                }
+                properties.email = properties.email || `${properties.name.toLowerCase()}@example.com`
+            },
+            afterCreate: async (model, item, params) => {
+                calls.push(['afterCreate', item.name])
+            },
+            beforeUpdate: async (model, properties, params, prior) => {
+                calls.push(['beforeUpdate', properties.name, prior && prior.status])
+                if (prior && prior.status == 'locked') {
+                    return false
+                }
+                return Object.assign({}, properties, {visits: (prior ? prior.visits || 0 : 0) + 1})
+            },
+            afterUpdate: async (model, item, params, prior) => {
+                calls.push(['afterUpdate', item.name, prior && prior.visits])
+            },
+            beforeRemove: async (model, properties, params, prior) => {
+                calls.push(['beforeRemove', properties.name, prior && prior.email])
+            },
+            afterRemove: async (model, item, params, prior) => {
+                calls.push(['afterRemove', item && item.name])
+            },
+            afterRead: async (model, item, params) => {
+                return Object.assign({}, item, {display: `${item.name} <${item.email}>`})
+            },
+        },
+    },
+})
+
+const User = table.getModel<UserType>('User')
+const Post = table.getModel<PostType>('Post')
+
+test('Create Table', async() => {
+    if (!(await table.exists())) {
+        await table.createTable()
+        expect(await table.exists()).toBe(true)
+    }
+})
+
+test('Create hooks', async() => {
+    calls = []
+    let user = await User.create({name: 'Alice'})
+    expect(user.email).toBe('alice@example.com')
+    expect(calls).toEqual([['beforeCreate', 'Alice'], ['afterCreate', 'Alice']])
+
+    //  Models without hooks are unaffected
+    let post = await Post.create({title: 'Hello'})
+    expect(post.title).toBe('Hello')
+})
+
+test('Cancel', async() => {
+    calls = []
+    await expect(User.create({name: 'Mallory'})).rejects.toThrow(/Operation cancelled by "beforeCreate" hook for "User"/)
+    expect(calls).toEqual([['beforeCreate', 'Mallory']])
+    expect(await User.get({name: 'Mallory'})).toBeUndefined()
+})
+
+test('Read hooks', async() => {
+    let user: any = await User.get({name: 'Alice'})
+    expect(user.display).toBe('Alice <alice@example.com>')
+
+    await User.create({name: 'Bob'})
+    let users: any = await User.find({}, {limit: 1})
+    expect(users.length).toBe(1)
+    expect(users[0].display).toBe('Alice <alice@example.com>')
+    expect(users.next).toBeDefined()
+
+    let pages: string[] = []
+    for await (let page of User.iterate({}, {pages: true})) {
+        pages = pages.concat((page as any).map(u => u.display))
+    }
+    expect(pages).toEqual(['Alice <alice@example.com>', 'Bob <bob@example.com>'])
+
+    //  Batch get
+    let batch = {}
+    await User.get({name: 'Alice'}, {batch})
+    await Post.get({title: 'Hello'}, {batch})
+    let items: any = await table.batchGet(batch, {parse: true, hidden: true})
+    expect(items.find(i => i.name == 'Alice').display).toBe('Alice <alice@example.com>')
+    expect(items.find(i => i.title == 'Hello').display).toBeUndefined()
+})
+
+test('Update hooks', async() => {
+    calls = []
+    let user = await User.update({name: 'Alice', status: 'active'})
+    expect(user.visits).toBe(1)
+    expect(calls).toEqual([['beforeUpdate', 'Alice', undefined], ['afterUpdate', 'Alice', undefined]])
+
+    calls = []
+    user = await User.update({name: 'Alice', status: 'locked'})
+    expect(user.visits).toBe(2)
+    expect(calls).toEqual([['beforeUpdate', 'Alice', 'active'], ['afterUpdate', 'Alice', 1]])
+
+    await expect(User.update({name: 'Alice', status: 'active'})).rejects.toThrow(/cancelled by "beforeUpdate"/)
+    expect((await User.get({name: 'Alice'})).status).toBe('locked')
+})
+
+test('Remove hooks', async() => {
+    calls = []
+    await User.remove({name: 'Bob'})
+    expect(calls).toEqual([['beforeRemove', 'Bob', 'bob@example.com'], ['afterRemove', 'Bob']])
+    expect(await User.get({name: 'Bob'})).toBeUndefined()
+})
+
+test('Transaction hooks', async() => {
+    calls = []
+    let transaction = {}
+    await User.create({name: 'Carol'}, {transaction})
+    await User.create({name: 'Dave'}, {transaction})
+    expect(calls).toEqual([['beforeCreate', 'Carol'], ['beforeCreate', 'Dave']])
+
+    //  After hooks run once the transaction succeeds
+    await table.transact('write', transaction)
+    expect(calls.slice(2)).toEqual([['afterCreate', 'Carol'], ['afterCreate', 'Dave']])
+
+    let items: any = await table.transact('get', await (async () => {
+        let t = {}
+        await User.get({name: 'Carol'}, {transaction: t})
+        return t
+    })(), {parse: true, hidden: true})
+    expect(items[0].display).toBe('Carol <carol@example.com>')
+
+    //  Cancelled hooks do not add to the transaction
+    transaction = {}
+    await expect(User.create({name: 'Mallory'}, {transaction})).rejects.toThrow(/cancelled/)
+    expect((transaction as any).TransactItems).toBeUndefined()
+})
+
+test('Batch hooks', async() => {
+    calls = []
+    let batch = {}
+    await User.create({name: 'Eve'}, {batch})
+    await User.remove({name: 'Carol'}, {batch})
+    expect(calls).toEqual([['beforeCreate', 'Eve'], ['beforeRemove', 'Carol', 'carol@example.com']])
+
+    await table.batchWrite(batch)
+    expect(calls.slice(2)).toEqual([['afterCreate', 'Eve'], ['afterRemove', 'Carol']])
+    expect((batch as any).hooks).toEqual([])
+
+    let users = await User.find()
+    expect(users.map(u => u.name)).toEqual(['Alice', 'Dave', 'Eve'])
+})
+
+test('Model hooks option', async() => {
+    let Article = new Model<PostType>(table, 'Article', {
+        fields: schema.models.Post,
+        hooks: {
+            afterRead: (model, item) => {
+                item.title = item.title.toUpperCase()
+            },
+        },
+    })
+    await Article.create({title: 'News'})
+    let article = await Article.get({title: 'News'})
+    expect(article.title).toBe('NEWS')
+})
+
+test('Destroy Table', async() => {
+    await table.deleteTable('DeleteTableForever')
+    expect(await table.exists()).toBe(false)
+})
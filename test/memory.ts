@@ -0,0 +1,169 @@
+/*
+    memory.ts - Test the in-memory DynamoDB client
+ */
+import {AWS, Client, Entity, Match, MemoryDynamo, Model, Table, print, dump, delay} from './utils/init'
+
+// jest.setTimeout(7200 * 1000)
+
+const schema = {
+    version: '0.0.1',
+    indexes: {
+        primary: { hash: 'pk', sort: 'sk' },
+        gs1: { hash: 'gs1pk', sort: 'gs1sk', project: 'keys' },
+        gs2: { hash: 'gs2pk', sort: 'gs2sk', project: ['name'] },
+    },
+    models: {
+        User: {
+            pk:         { type: String, value: 'user#${id}' },
+            sk:         { type: String, value: 'user#' },
+            id:         { type: String, uuid: 'ulid' },
+            name:       { type: String },
+            email:      { type: String },
+            age:        { type: Number },
+            tags:       { type: Set },
+            gs1pk:      { type: String, value: 'users' },
+            gs1sk:      { type: String, value: 'user#${name}' },
+            gs2pk:      { type: String, value: 'users' },
+            gs2sk:      { type: String, value: 'user#${age}' },
+        },
+    } as const,
+}
+
+const client = new MemoryDynamo()
+
+const table = new Table({
+    name: 'MemoryTestTable',
+    client,
+    schema,
+})
+
+type UserType = Entity<typeof schema.models.User>
+let User = table.getModel<UserType>('User')
+let user: UserType
+
+test('Create Table', async() => {
+    expect(await table.exists()).toBe(false)
+    await table.createTable()
+    expect(await table.exists()).toBe(true)
+    expect(await table.listTables()).toEqual(['MemoryTestTable'])
+
+    let description: any = await table.describeTable()
+    expect(description.Table.TableName).toBe('MemoryTestTable')
+    expect(description.Table.GlobalSecondaryIndexes.length).toBe(2)
+})
+
+test('Create and get', async() => {
+    user = await User.create({name: 'Alice', email: 'alice@example.com', age: 30, tags: new Set(['a', 'b']) as any})
+    expect(user.id).toMatch(Match.ulid)
+
+    user = await User.get({id: user.id})
+    expect(user).toMatchObject({name: 'Alice', email: 'alice@example.com', age: 30})
+    expect(user.tags).toEqual(new Set(['a', 'b']))
+
+    await expect(User.create({id: user.id, name: 'Duplicate'}, {log: false})).rejects.toThrow()
+
+    await User.create({name: 'Bob', age: 18})
+    await User.create({name: 'Carol', age: 45})
+})
+
+test('Query key conditions and filters', async() => {
+    let users = await User.find({}, {index: 'gs1', follow: true})
+    expect(users.map(u => u.name)).toEqual(['Alice', 'Bob', 'Carol'])
+
+    users = await User.find({gs1sk: {begins: 'user#C'}}, {index: 'gs1', follow: true})
+    expect(users.map(u => u.name)).toEqual(['Carol'])
+
+    users = await User.find({}, {index: 'gs1', follow: true, reverse: true})
+    expect(users.map(u => u.name)).toEqual(['Carol', 'Bob', 'Alice'])
+
+    users = await User.scan({}, {where: '${age} >= {30}'})
+    expect(users.map(u => u.name).sort()).toEqual(['Alice', 'Carol'])
+
+    //  Filters apply to the projected attributes
+    users = await User.find({}, {index: 'gs1', where: '${age} >= {30}'})
+    expect(users.length).toBe(0)
+})
+
+test('Index projections', async() => {
+    let query = (index, hash) => client.find({
+        TableName: 'MemoryTestTable',
+        IndexName: index,
+        KeyConditionExpression: '#h = :h',
+        ExpressionAttributeNames: {'#h': hash},
+        ExpressionAttributeValues: {':h': {S: 'users'}},
+    })
+    let result = await query('gs1', 'gs1pk')
+    expect(result.Items.length).toBe(3)
+    expect(Object.keys(result.Items[0]).sort()).toEqual(['gs1pk', 'gs1sk', 'pk', 'sk'])
+
+    result = await query('gs2', 'gs2pk')
+    expect(Object.keys(result.Items[0]).sort()).toEqual(['gs2pk', 'gs2sk', 'name', 'pk', 'sk'])
+    //  Sorted by the index sort key
+    expect(result.Items.map(item => item.gs2sk.S)).toEqual(['user#18', 'user#30', 'user#45'])
+})
+
+test('Update expressions', async() => {
+    user = await User.update({id: user.id, age: 31}, {add: {tags: new Set(['c'])}, remove: ['email']})
+    expect(user.age).toBe(31)
+    expect(user.tags).toEqual(new Set(['a', 'b', 'c']))
+    expect(user.email).toBeUndefined()
+
+    user = await User.update({id: user.id}, {set: {age: '${age} + {1}'}, delete: {tags: new Set(['a'])}})
+    expect(user.age).toBe(32)
+    expect(user.tags).toEqual(new Set(['b', 'c']))
+})
+
+test('Conditions', async() => {
+    await expect(User.update({id: user.id, age: 40}, {where: '${age} < {30}', log: false}))
+        .rejects.toMatchObject({context: {err: {name: 'ConditionalCheckFailedException'}}})
+    await expect(User.update({id: 'unknown', age: 1}, {log: false})).rejects.toThrow()
+    await User.remove({id: user.id}, {where: 'attribute_exists(${name})'})
+    expect(await User.get({id: user.id})).toBeUndefined()
+})
+
+test('Pagination', async() => {
+    for (let i = 0; i < 10; i++) {
+        await User.create({name: `User ${i}`, age: i})
+    }
+    let next, count = 0, pages = 0
+    do {
+        let users = await User.scan({}, {limit: 4, next})
+        count += users.length
+        next = users.next
+        pages++
+    } while (next)
+    expect(count).toBe(12)
+    expect(pages).toBe(4)
+})
+
+test('Batch and transactions', async() => {
+    let users = await User.scan()
+    let batch = {}
+    for (let user of users) {
+        await User.get({id: user.id}, {batch})
+    }
+    let items = await table.batchGet(batch, {parse: true})
+    expect(items.length).toBe(users.length)
+
+    let transaction = {}
+    await User.update({id: users[0].id, age: 99}, {transaction})
+    await User.remove({id: users[1].id}, {transaction})
+    await table.transact('write', transaction)
+    expect((await User.get({id: users[0].id})).age).toBe(99)
+    expect(await User.get({id: users[1].id})).toBeUndefined()
+})
+
+test('Errors', async() => {
+    await expect(client.get({TableName: 'Unknown', Key: {pk: {S: 'x'}}}))
+        .rejects.toMatchObject({name: 'ResourceNotFoundException'})
+    await expect(client.find({TableName: 'MemoryTestTable', KeyConditionExpression: '#x = :x',
+        ExpressionAttributeNames: {'#x': 'pk'}, ExpressionAttributeValues: {}}))
+        .rejects.toMatchObject({name: 'ValidationException'})
+    await expect(client.get({TableName: 'MemoryTestTable', Key: {pk: {S: 'x'}}}))
+        .rejects.toMatchObject({name: 'ValidationException'})
+})
+
+test('Destroy Table', async() => {
+    await table.deleteTable('DeleteTableForever')
+    expect(await table.exists()).toBe(false)
+})
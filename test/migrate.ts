@@ -0,0 +1,142 @@
+/*
+    migrate.ts - Test database migrations
+ */
+import {AWS, Client, Entity, Match, Model, Table, print, dump, delay} from './utils/init'
+import {DefaultSchema} from './schemas'
+
+// jest.setTimeout(7200 * 1000)
+
+const table = new Table({
+    name: 'MigrateTestTable',
+    client: Client,
+    schema: DefaultSchema,
+})
+
+type UserType = Entity<typeof DefaultSchema.models.User>
+let User = table.getModel<UserType>('User')
+let log: string[] = []
+
+const migrations = [
+    {
+        version: '0.0.2',
+        description: 'Add status',
+        async up(table, params) {
+            log.push('up 0.0.2')
+            let users = await User.find({}, {index: 'gs2'})
+            for (let user of users) {
+                await User.update({id: user.id, status: 'active'})
+            }
+        },
+        async down(table, params) {
+            log.push('down 0.0.2')
+        },
+    },
+    {
+        version: '0.0.1',
+        description: 'Seed users',
+        async up(table, params) {
+            log.push('up 0.0.1')
+            await User.create({name: 'Peter Smith'})
+        },
+        async down(table, params) {
+            log.push('down 0.0.1')
+        },
+    },
+    {
+        default: {
+            version: '0.0.10',
+            description: 'Loaded module',
+            async up(table, params) {
+                log.push('up 0.0.10')
+            },
+            async down(table, params) {
+                log.push('down 0.0.10')
+            },
+        },
+    },
+]
+
+test('Create Table', async() => {
+    if (!(await table.exists())) {
+        await table.createTable()
+        expect(await table.exists()).toBe(true)
+    }
+})
+
+test('Dry run', async() => {
+    let result = await table.migrate({migrations, dryRun: true})
+    expect(result).toMatchObject({from: '0.0.0', to: '0.0.10', dryRun: true})
+    expect(result.steps.map(s => `${s.direction} ${s.version}`)).toEqual(['up 0.0.1', 'up 0.0.2', 'up 0.0.10'])
+    expect(log.length).toBe(0)
+    expect((await table.listMigrations()).length).toBe(0)
+})
+
+test('Migrate to version', async() => {
+    let result = await table.migrate({migrations, to: '0.0.2'})
+    expect(result).toMatchObject({from: '0.0.0', to: '0.0.2', dryRun: false})
+    expect(log).toEqual(['up 0.0.1', 'up 0.0.2'])
+
+    let users = await User.find({}, {index: 'gs2'})
+    expect(users.length).toBe(1)
+    expect(users[0].status).toBe('active')
+
+    let applied = await table.listMigrations()
+    expect(applied.map(m => m.version)).toEqual(['0.0.1', '0.0.2'])
+    expect(applied[0]).toMatchObject({description: 'Seed users', path: '0.0.1'})
+    expect(applied[0].date).toBeInstanceOf(Date)
+})
+
+test('Migrate to latest', async() => {
+    log = []
+    let result = await table.migrate({migrations})
+    expect(result).toMatchObject({from: '0.0.2', to: '0.0.10'})
+    expect(log).toEqual(['up 0.0.10'])
+
+    //  Already current
+    result = await table.migrate({migrations})
+    expect(result.steps.length).toBe(0)
+})
+
+test('Rollback', async() => {
+    log = []
+    let result = await table.migrate({migrations, to: '0.0.1'})
+    expect(result).toMatchObject({from: '0.0.10', to: '0.0.1'})
+    expect(log).toEqual(['down 0.0.10', 'down 0.0.2'])
+    let applied = await table.listMigrations()
+    expect(applied.map(m => m.version)).toEqual(['0.0.1'])
+})
+
+test('Rollback all', async() => {
+    log = []
+    await table.migrate({migrations, to: '0.0.0'})
+    expect(log).toEqual(['down 0.0.1'])
+    expect((await table.listMigrations()).length).toBe(0)
+})
+
+test('Lock', async() => {
+    let blocked = [{
+        version: '0.0.1',
+        async up(table, params) {
+            await expect(table.migrate({migrations})).rejects.toMatchObject({code: 'LockError'})
+        },
+        async down(table, params) {},
+    }]
+    await table.migrate({migrations: blocked})
+    let lock = await table.getItem({pk: '_migration_lock', sk: '_migration_lock'})
+    expect(lock).toBeUndefined()
+
+    //  Stale locks can be taken over
+    await table.putItem({pk: '_migration_lock', sk: '_migration_lock', owner: 'crashed', expires: Date.now() - 1000})
+    await table.migrate({migrations: blocked, to: '0.0.0'})
+    expect((await table.listMigrations()).length).toBe(0)
+})
+
+test('Invalid migrations', async() => {
+    await expect(table.migrate({migrations: [{version: 'bad', up: null, down: null}] as any})).rejects.toThrow()
+    await expect(table.migrate({migrations, to: '9.9.9'})).rejects.toThrow()
+})
+
+test('Destroy Table', async() => {
+    await table.deleteTable('DeleteTableForever')
+    expect(await table.exists()).toBe(false)
+})
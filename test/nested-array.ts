@@ -0,0 +1,94 @@
+/*
+    nested-array.ts - Test nested schemas for array items
+ */
+import {AWS, Client, Entity, Match, Table, print, dump, delay} from './utils/init'
+
+// jest.setTimeout(7200 * 1000)
+
+const schema = {
+    version: '0.0.1',
+    indexes: {
+        primary: { hash: 'pk', sort: 'sk' },
+    },
+    models: {
+        Order: {
+            pk:         { type: String, value: 'order#${id}' },
+            sk:         { type: String, value: 'order#' },
+            id:         { type: String, uuid: 'ulid' },
+            customer:   { type: String },
+            lines:      { type: Array, items: { type: Object, schema: {
+                sku:        { type: String, required: true, validate: /^[A-Z]+-\d+$/ },
+                quantity:   { type: Number, default: 1 },
+                shipped:    { type: Date },
+                note:       { type: String },
+            }}},
+        },
+    } as const,
+}
+
+const table = new Table({
+    name: 'NestedArrayTestTable',
+    client: Client,
+    schema,
+    timestamps: false,
+})
+
+type OrderType = Entity<typeof schema.models.Order>
+let Order = table.getModel<OrderType>('Order')
+let order: OrderType
+
+const Shipped = new Date(2022, 1, 1)
+
+test('Create Table', async() => {
+    if (!(await table.exists())) {
+        await table.createTable()
+        expect(await table.exists()).toBe(true)
+    }
+})
+
+test('Create', async() => {
+    let lines: any = [
+        {sku: 'ABC-1', quantity: 2, shipped: Shipped, unknown: 42},
+        {sku: 'XYZ-2', note: null},
+    ]
+    order = await Order.create({customer: 'acme', lines})
+    expect(order.lines.length).toBe(2)
+    expect(order.lines[0]).toEqual({sku: 'ABC-1', quantity: 2, shipped: Shipped})
+    expect(order.lines[0].shipped).toBeInstanceOf(Date)
+    //  Defaults applied and nulls omitted per item
+    expect(order.lines[1]).toEqual({sku: 'XYZ-2', quantity: 1})
+})
+
+test('Get', async() => {
+    order = await Order.get({id: order.id})
+    expect(order.lines.length).toBe(2)
+    expect(order.lines[0].shipped).toBeInstanceOf(Date)
+    expect(order.lines[0].shipped.getTime()).toBe(Shipped.getTime())
+    expect((order.lines[0] as any).unknown).toBeUndefined()
+
+    let raw: any = await Order.get({id: order.id}, {parse: false})
+    expect(raw.lines.L[0].M.shipped.N).toBe(Shipped.getTime().toString())
+})
+
+test('Update', async() => {
+    order = await Order.update({id: order.id, lines: [{sku: 'DEF-3'}]})
+    expect(order.lines).toEqual([{sku: 'DEF-3', quantity: 1}])
+})
+
+test('Update nested item property', async() => {
+    order = await Order.update({id: order.id}, {set: {'lines[0].quantity': 5}})
+    expect(order.lines[0].quantity).toBe(5)
+})
+
+test('Validation', async() => {
+    await expect(Order.create({customer: 'acme', lines: [{sku: 'bad'}]}))
+        .rejects.toMatchObject({code: 'ValidationError'})
+    await expect(Order.create({customer: 'acme', lines: [{quantity: 1} as any]}))
+        .rejects.toMatchObject({code: 'ValidationError'})
+    await expect(Order.create({customer: 'acme', lines: ['ABC-1'] as any})).rejects.toThrow()
+})
+
+test('Destroy Table', async() => {
+    await table.deleteTable('DeleteTableForever')
+    expect(await table.exists()).toBe(false)
+})
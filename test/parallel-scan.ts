@@ -1,5 +1,5 @@
 /*
-   Stub for creating a new test file
+    parallel-scan.ts - Test parallel scan segments and checkpoints
  */
 
 import {AWS, Client, Table, print, dump, delay} from './utils/init'
@@ -48,6 +48,89 @@ test('Stub', async() => {
     expect(1).toBe(1)
 })
 
+test('Parallel', async() => {
+    let stats: any = {}
+    let items: any[] = await User.scan({}, {segments: MaxSegments, parallel: true, stats})
+    expect(items.length).toBe(MaxUsers)
+    expect(new Set(items.map(item => item.id)).size).toBe(MaxUsers)
+    expect(stats.count).toBe(MaxUsers)
+
+    items = await table.scanItems({}, {segments: MaxSegments, parallel: true, parse: true})
+    expect(items.length).toBe(MaxUsers)
+})
+
+test('Concurrency limit', async() => {
+    let t: any = table
+    let execute = t.execute
+    let running = 0, max = 0
+    t.execute = async function(...args) {
+        max = Math.max(max, ++running)
+        try {
+            return await execute.apply(this, args)
+        } finally {
+            running--
+        }
+    }
+    try {
+        let items = await User.scan({}, {segments: MaxSegments, parallel: 2})
+        expect(items.length).toBe(MaxUsers)
+        expect(max).toBe(2)
+
+        max = 0
+        await User.scan({}, {segments: MaxSegments, parallel: true})
+        expect(max).toBe(MaxSegments)
+    } finally {
+        t.execute = execute
+    }
+})
+
+test('Iterate pages', async() => {
+    let segments = new Set()
+    let count = 0
+    for await (let page of User.iterate({}, {scan: true, segments: MaxSegments, parallel: true, pages: true})) {
+        segments.add((page as any).segment)
+        count += page.length
+    }
+    expect(count).toBe(MaxUsers)
+    expect(segments.size).toBe(MaxSegments)
+
+    count = 0
+    for await (let item of User.iterate({}, {scan: true, segments: MaxSegments, parallel: true}) as AsyncGenerator<any>) {
+        expect(item.name).toMatch(/^User-/)
+        count++
+    }
+    expect(count).toBe(MaxUsers)
+})
+
+test('Checkpoint', async() => {
+    //  Interrupt after the first segment
+    let checkpoint: any = {}
+    let ids = new Set()
+    for await (let page of User.iterate({}, {scan: true, segments: MaxSegments, parallel: 1, pages: true, checkpoint})) {
+        if ((page as any).segment > 0) {
+            break
+        }
+        page.forEach((item: any) => ids.add(item.id))
+    }
+    expect(checkpoint[0]).toBeNull()
+    expect(checkpoint[1]).toBeUndefined()
+
+    //  Resume with a limited number of items per segment until all segments are complete
+    let scans = 0
+    do {
+        let items = await User.scan({}, {segments: MaxSegments, parallel: true, limit: 10, checkpoint})
+        items.forEach((item: any) => ids.add(item.id))
+        expect(++scans).toBeLessThan(20)
+    } while (Object.keys(checkpoint).length < MaxSegments || Object.values(checkpoint).some(key => key !== null))
+    expect(scans).toBeGreaterThan(1)
+    expect(ids.size).toBe(MaxUsers)
+})
+
+test('Parallel errors', async() => {
+    await expect(User.scan({}, {parallel: true})).rejects.toThrow(/requires a "segments" count/)
+    await expect(User.scan({}, {segments: 2, segment: 0, parallel: true})).rejects.toThrow(/Cannot use "segment"/)
+})
+
 test('Destroy', async() => {
     await table.deleteTable('DeleteTableForever')
 })
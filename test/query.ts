@@ -0,0 +1,186 @@
+/*
+    query.ts - Test saved schema queries
+ */
+import {AWS, Client, Entity, Match, Model, Table, print, dump, delay} from './utils/init'
+
+// jest.setTimeout(7200 * 1000)
+
+const schema = {
+    version: '0.0.1',
+    indexes: {
+        primary: { hash: 'pk', sort: 'sk' },
+        gs1: { hash: 'gs1pk', sort: 'gs1sk', project: 'all' },
+    },
+    models: {
+        User: {
+            pk:         { type: String, value: 'account#${accountId}' },
+            sk:         { type: String, value: 'user#${name}' },
+            accountId:  { type: String },
+            name:       { type: String },
+            age:        { type: Number },
+            admin:      { type: Boolean },
+            role:       { type: String, map: 'r' },
+            gs1pk:      { type: String, value: 'user#${name}' },
+            gs1sk:      { type: String, value: 'account#${accountId}' },
+        },
+    },
+    queries: {
+        'Users in account': {
+            type: 'Entity',
+            model: 'User',
+            hash: 'account#${accountId}',
+            sort: 'user#',
+            operation: 'Begins with',
+        },
+        'Adult users': {
+            type: 'Entity',
+            model: 'User',
+            hash: 'account#${accountId}',
+            sort: ['user#${from}', 'user#${to}'],
+            operation: 'Between',
+            filters: [
+                { field: 'age', type: 'number', operation: 'Greater than or equal', value: 18, combine: 'And' },
+            ],
+        },
+        'Admins by name': {
+            type: 'Entity',
+            model: 'User',
+            index: 'gs1',
+            hash: 'user#${name}',
+            filters: [
+                { field: 'admin', type: 'boolean', operation: 'Equal', value: true, combine: 'And' },
+            ],
+        },
+        'Account items': {
+            type: 'Query',
+            hash: 'account#${accountId}',
+            limit: 2,
+        },
+        'Named users': {
+            type: 'Scan',
+            filters: [
+                { field: 'name', type: 'string', operation: 'Begins with', value: '${prefix}', combine: 'And' },
+                { field: 'name', type: 'string', operation: 'Equal', value: 'Zoe', combine: 'Or' },
+            ],
+        },
+        'Mixed filters': {
+            type: 'Scan',
+            filters: [
+                { field: 'name', type: 'string', operation: 'Begins with', value: 'Z', combine: 'And' },
+                { field: 'name', type: 'string', operation: 'Begins with', value: 'A', combine: 'Or' },
+                { field: 'age', type: 'number', operation: 'Less than', value: 40, combine: 'And' },
+            ],
+        },
+        'Users by role attribute': {
+            type: 'Entity',
+            model: 'User',
+            hash: 'account#${accountId}',
+            filters: [
+                { field: 'r', type: 'string', operation: 'Equal', value: '${role}', combine: 'And' },
+            ],
+        },
+        'Users by role property': {
+            type: 'Entity',
+            model: 'User',
+            hash: 'account#${accountId}',
+            filters: [
+                { field: 'role', type: 'string', operation: 'Equal', value: 'owner', combine: 'And' },
+            ],
+        },
+    },
+}
+
+const table = new Table({
+    name: 'QueryTestTable',
+    client: Client,
+    schema,
+})
+
+let User = table.getModel('User')
+
+const Users = [
+    {accountId: 'acme', name: 'Alice', age: 30, admin: true, role: 'owner'},
+    {accountId: 'acme', name: 'Bob', age: 12, admin: false, role: 'guest'},
+    {accountId: 'acme', name: 'Carol', age: 45, admin: false},
+    {accountId: 'other', name: 'Alan', age: 22, admin: false},
+    {accountId: 'other', name: 'Zoe', age: 50, admin: true},
+]
+
+test('Create Table', async() => {
+    if (!(await table.exists())) {
+        await table.createTable()
+        expect(await table.exists()).toBe(true)
+    }
+})
+
+test('Create Users', async() => {
+    for (let user of Users) {
+        await User.create(user)
+    }
+})
+
+test('Entity query', async() => {
+    let users = await table.query('Users in account', {accountId: 'acme'})
+    expect(users.length).toBe(3)
+    expect(users.map(u => u.name)).toEqual(['Alice', 'Bob', 'Carol'])
+    expect(users[0].pk).toBeUndefined()
+})
+
+test('Between with filters', async() => {
+    let users = await table.query('Adult users', {accountId: 'acme', from: 'A', to: 'C'})
+    expect(users.map(u => u.name)).toEqual(['Alice'])
+})
+
+test('Combined with object where', async() => {
+    let users = await table.query('Adult users', {accountId: 'acme', from: 'A', to: 'D'}, {where: {admin: false}})
+    expect(users.map(u => u.name)).toEqual(['Carol'])
+})
+
+test('Query on index', async() => {
+    let users = await table.query('Admins by name', {name: 'Zoe'})
+    expect(users.length).toBe(1)
+    expect(users[0]).toMatchObject({name: 'Zoe', accountId: 'other'})
+
+    users = await table.query('Admins by name', {name: 'Alan'})
+    expect(users.length).toBe(0)
+})
+
+test('Generic query with limit', async() => {
+    let items = await table.query('Account items', {accountId: 'acme'})
+    expect(items.length).toBe(2)
+    expect(items.next).toBeDefined()
+    expect(items[0].accountId).toBe('acme')
+
+    //  Params override the saved query
+    items = await table.query('Account items', {accountId: 'acme'}, {limit: 10})
+    expect(items.length).toBe(3)
+})
+
+test('Scan with filters', async() => {
+    let items = await table.query('Named users', {prefix: 'Al'})
+    expect(items.map(u => u.name).sort()).toEqual(['Alan', 'Alice', 'Zoe'])
+})
+
+test('Filters are combined in order', async() => {
+    let items = await table.query('Mixed filters')
+    expect(items.map(u => u.name).sort()).toEqual(['Alan', 'Alice'])
+})
+
+test('Filter fields are attributes', async() => {
+    let users = await table.query('Users by role attribute', {accountId: 'acme', role: 'owner'})
+    expect(users.map(u => u.name)).toEqual(['Alice'])
+    expect(users[0].role).toBe('owner')
+
+    await expect(table.query('Users by role property', {accountId: 'acme'}))
+        .rejects.toThrow('Cannot filter on attribute "role" for query "Users by role property"')
+})
+
+test('Errors', async() => {
+    await expect(table.query('Unknown query')).rejects.toThrow('Cannot find query "Unknown query"')
+    await expect(table.query('Users in account', {})).rejects.toThrow('Missing query argument "accountId"')
+})
+
+test('Destroy Table', async() => {
+    await table.deleteTable('DeleteTableForever')
+    expect(await table.exists()).toBe(false)
+})
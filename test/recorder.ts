@@ -0,0 +1,201 @@
+/*
+    recorder.ts - Test recording and replaying client commands
+ */
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import {AWS, Client, Entity, Match, Model, Table, print, dump, delay} from './utils/init'
+import Recorder, {exactMatch} from '../src/Recorder.js'
+
+// jest.setTimeout(7200 * 1000)
+
+const schema = {
+    version: '0.0.1',
+    indexes: {
+        primary: { hash: 'pk', sort: 'sk' },
+    },
+    models: {
+        User: {
+            pk:     { type: String, value: 'user#' },
+            sk:     { type: String, value: 'user#${name}' },
+            name:   { type: String },
+            age:    { type: Number },
+        }
+    } as const,
+    params: {
+        timestamps: false,
+    }
+}
+
+type UserType = Entity<typeof schema.models.User>
+
+//  Model with generated ULIDs, UUIDs and timestamps
+const generatedSchema = {
+    version: '0.0.1',
+    indexes: {
+        primary: { hash: 'pk', sort: 'sk' },
+    },
+    models: {
+        Order: {
+            pk:     { type: String, value: 'order#${id}' },
+            sk:     { type: String, value: 'order#' },
+            id:     { type: String, uuid: 'ulid' },
+            ref:    { type: String, uuid: 'uuid' },
+            placed: { type: Date },
+            note:   { type: String },
+        }
+    } as const,
+    params: {
+        timestamps: true,
+        isoDates: false,
+    }
+}
+
+type OrderType = Entity<typeof generatedSchema.models.Order>
+
+const fixture = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'onetable-')), 'fixtures', 'recorder.json')
+
+function makeTable(client) {
+    return new Table({name: 'RecorderTestTable', client, schema})
+}
+
+/*
+    Run the same sequence of operations for recording and replay
+ */
+async function scenario(table: Table) {
+    let User = table.getModel<UserType>('User')
+    let results: any = {}
+
+    await table.createTable()
+    await User.create({name: 'Alice', age: 30})
+    await User.create({name: 'Bob', age: 20})
+    await User.create({name: 'Carol', age: 40})
+
+    results.user = await User.get({name: 'Alice'})
+    results.pages = []
+    let next
+    do {
+        let page = await User.find({}, {limit: 2, next})
+        results.pages.push(page.map(u => u.name))
+        next = page.next
+    } while (next)
+
+    try {
+        await User.create({name: 'Bob', age: 21}, {exists: false})
+    } catch (err) {
+        results.error = err.message
+    }
+    await table.deleteTable('DeleteTableForever')
+    return results
+}
+
+let recorded: any
+
+test('Record', async() => {
+    let recorder = new Recorder({client: Client, path: fixture})
+    expect(recorder.mode).toBe('record')
+
+    recorded = await scenario(makeTable(recorder))
+    expect(recorded.user.name).toBe('Alice')
+    expect(recorded.pages).toEqual([['Alice', 'Bob'], ['Carol']])
+    expect(recorded.error).toMatch(/conditional request failed/)
+
+    let entries = JSON.parse(fs.readFileSync(fixture, 'utf8'))
+    expect(entries.length).toBe(recorder.entries.length)
+    expect(entries.map(e => e.op)).toContain('find')
+    let failed = entries.find(e => e.error)
+    expect(failed.op).toBe('put')
+    expect(failed.error.name).toBe('ConditionalCheckFailedException')
+})
+
+test('Replay', async() => {
+    //  Auto mode replays once a recording exists
+    let recorder = new Recorder({path: fixture})
+    expect(recorder.mode).toBe('replay')
+
+    let replayed = await scenario(makeTable(recorder))
+    expect(replayed.user).toEqual(recorded.user)
+    expect(replayed.pages).toEqual(recorded.pages)
+    expect(replayed.error).toBe(recorded.error)
+    recorder.verify()
+})
+
+test('Replay mismatch', async() => {
+    let recorder = new Recorder({path: fixture, mode: 'replay'})
+    let table = makeTable(recorder)
+    let User = table.getModel<UserType>('User')
+
+    await table.createTable()
+    await expect(User.create({name: 'Alice', age: 31})).rejects.toThrow(/does not match recorded command/)
+    expect(() => recorder.verify()).toThrow(/not replayed/)
+})
+
+test('Custom match', async() => {
+    let recorder = new Recorder({
+        path: fixture,
+        mode: 'replay',
+        match: (recorded, cmd, op) => op == 'createTable' || op == 'put',
+    })
+    let table = makeTable(recorder)
+    let User = table.getModel<UserType>('User')
+    await table.createTable()
+    let user = await User.create({name: 'Alice', age: 31})
+    expect(user.age).toBe(31)
+})
+
+test('Generated values', async() => {
+    let file = fixture.replace('recorder.json', 'generated.json')
+    let run = async (client) => {
+        let table = new Table({name: 'RecorderGeneratedTable', client, schema: generatedSchema})
+        let Order = table.getModel<OrderType>('Order')
+        await table.createTable()
+        let order = await Order.create({placed: new Date(), note: 'first'})
+        await Order.update({id: order.id, placed: new Date(Date.now() + 1000), note: 'second'})
+        let found = await Order.get({id: order.id})
+        await table.deleteTable('DeleteTableForever')
+        return found
+    }
+    let recorder = new Recorder({client: Client, path: file})
+    let recorded = await run(recorder)
+    expect(recorded!.note).toBe('second')
+
+    //  Replays with different ULIDs, UUIDs and timestamps
+    await delay(5)
+    recorder = new Recorder({path: file})
+    let replayed = await run(recorder)
+    expect(replayed).toEqual(recorded)
+    recorder.verify()
+
+    recorder = new Recorder({path: file, match: exactMatch})
+    await expect(run(recorder)).rejects.toThrow(/does not match recorded command/)
+})
+
+test('Concurrent commands are appended in order', async() => {
+    let file = fixture.replace('recorder.json', 'concurrent.json')
+    let recorder = new Recorder({client: Client, path: file})
+    let table = makeTable(recorder)
+    let User = table.getModel<UserType>('User')
+    await table.createTable()
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toHaveLength(1)
+
+    await Promise.all(['A', 'B', 'C', 'D'].map(name => User.create({name, age: 1})))
+    await table.deleteTable('DeleteTableForever')
+
+    let entries = JSON.parse(fs.readFileSync(file, 'utf8'))
+    expect(entries).toEqual(JSON.parse(JSON.stringify(recorder.entries)))
+    expect(entries.map(e => e.op)).toEqual(['createTable', 'put', 'put', 'put', 'put', 'deleteTable'])
+
+    //  Save rewrites the same content
+    let data = fs.readFileSync(file, 'utf8')
+    await recorder.save()
+    expect(fs.readFileSync(file, 'utf8')).toBe(data)
+})
+
+test('Invalid params', async() => {
+    expect(() => new Recorder({path: fixture, mode: 'bad' as any})).toThrow(/Invalid recorder mode/)
+    expect(() => new Recorder({path: fixture + '.missing', mode: 'record'})).toThrow(/Missing "client"/)
+})
+
+test('Destroy', async() => {
+    fs.rmSync(path.dirname(path.dirname(fixture)), {recursive: true, force: true})
+})
@@ -0,0 +1,187 @@
+/*
+    relations.ts - Test relations and params.include
+ */
+import {AWS, Client, Entity, Match, Model, Table, print, dump, delay} from './utils/init'
+
+// jest.setTimeout(7200 * 1000)
+
+const schema = {
+    version: '0.0.1',
+    indexes: {
+        primary: { hash: 'pk', sort: 'sk' },
+        gs1: { hash: 'gs1pk', sort: 'gs1sk', project: 'all' },
+    },
+    models: {
+        Account: {
+            pk:         { type: String, value: 'account#${id}' },
+            sk:         { type: String, value: 'account#' },
+            id:         { type: String, required: true },
+            name:       { type: String },
+        },
+        User: {
+            pk:         { type: String, value: 'account#${accountId}' },
+            sk:         { type: String, value: 'user#${email}' },
+            accountId:  { type: String, required: true },
+            email:      { type: String, required: true },
+            name:       { type: String },
+            gs1pk:      { type: String, value: 'user#${email}' },
+            gs1sk:      { type: String, value: 'user#' },
+        },
+        Post: {
+            pk:         { type: String, value: 'post#${id}' },
+            sk:         { type: String, value: 'post#' },
+            id:         { type: String, required: true },
+            author:     { type: String },
+            title:      { type: String },
+            gs1pk:      { type: String, value: 'user#${author}' },
+            gs1sk:      { type: String, value: 'post#${id}' },
+        },
+    } as const,
+    relations: {
+        Account: {
+            users:      { hasMany: 'User', hash: 'account#${id}', sort: 'user#' },
+        },
+        User: {
+            account:    { belongsTo: 'Account', hash: 'account#${accountId}', sort: 'account#' },
+            posts:      { hasMany: 'Post', index: 'gs1', hash: 'user#${email}', sort: 'post#' },
+        },
+        Post: {
+            missing:    { belongsTo: 'Account', hash: 'account#${accountId}', sort: 'account#' },
+        },
+    },
+    params: {
+        timestamps: false,
+    },
+}
+
+const table = new Table({
+    name: 'RelationsTestTable',
+    client: Client,
+    schema,
+})
+
+type AccountType = Entity<typeof schema.models.Account>
+type UserType = Entity<typeof schema.models.User>
+type PostType = Entity<typeof schema.models.Post>
+
+const Account = table.getModel<AccountType>('Account')
+const User = table.getModel<UserType>('User')
+const Post = table.getModel<PostType>('Post')
+
+test('Create Table', async() => {
+    if (!(await table.exists())) {
+        await table.createTable()
+        expect(await table.exists()).toBe(true)
+    }
+    await Account.create({id: 'a1', name: 'Acme'})
+    await Account.create({id: 'a2', name: 'Beta'})
+    await User.create({accountId: 'a1', email: 'alice@acme.com', name: 'Alice'})
+    await User.create({accountId: 'a1', email: 'bob@acme.com', name: 'Bob'})
+    await User.create({accountId: 'a2', email: 'carol@beta.com', name: 'Carol'})
+    await Post.create({id: 'p1', author: 'alice@acme.com', title: 'First'})
+    await Post.create({id: 'p2', author: 'alice@acme.com', title: 'Second'})
+})
+
+test('Has many', async() => {
+    let account: any = await Account.get({id: 'a1'}, {include: ['users']})
+    expect(account.name).toBe('Acme')
+    expect(account.users.map(u => u.name)).toEqual(['Alice', 'Bob'])
+    expect(account.users[0].pk).toBeUndefined()
+
+    let accounts: any = await Account.find({id: 'a2'} as any, {include: 'users'})
+    expect(accounts[0].users.map(u => u.name)).toEqual(['Carol'])
+})
+
+test('Has many via index', async() => {
+    let user: any = await User.get({accountId: 'a1', email: 'alice@acme.com'}, {include: ['posts']})
+    expect(user.posts.map(p => p.title)).toEqual(['First', 'Second'])
+
+    user = await User.get({accountId: 'a1', email: 'bob@acme.com'}, {include: ['posts']})
+    expect(user.posts).toEqual([])
+})
+
+test('Belongs to', async() => {
+    let users: any = await User.find({accountId: 'a1'} as any, {include: ['account', 'posts']})
+    expect(users.map(u => u.account.name)).toEqual(['Acme', 'Acme'])
+    expect(users[0].account.pk).toBeUndefined()
+    expect(users[0].posts).toHaveLength(2)
+    expect(users[1].posts).toHaveLength(0)
+
+    let user: any = await User.get({accountId: 'a2', email: 'carol@beta.com'}, {include: 'account', hidden: true})
+    expect(user.account.name).toBe('Beta')
+    expect(user.account.pk).toBe('account#a2')
+})
+
+test('Missing related items', async() => {
+    //  Template properties not defined
+    let post: any = await Post.get({id: 'p1'}, {include: 'missing'})
+    expect(post.title).toBe('First')
+    expect('missing' in post).toBe(false)
+
+    //  Related item does not exist
+    await User.create({accountId: 'a9', email: 'dave@example.com', name: 'Dave'})
+    let user: any = await User.get({accountId: 'a9', email: 'dave@example.com'}, {include: 'account'})
+    expect(user.account).toBeUndefined()
+})
+
+test('Table APIs and children', async() => {
+    let account: any = await table.get('Account', {id: 'a1'}, {include: 'users'})
+    expect(account.users).toHaveLength(2)
+
+    let child = table.child({accountId: 'a1'})
+    let users: any = await child.find('User', {}, {include: 'account'})
+    expect(users.map(u => u.account.id)).toEqual(['a1', 'a1'])
+})
+
+test('Has many concurrency', async() => {
+    for (let i = 0; i < 12; i++) {
+        await User.create({accountId: 'a3', email: `user${i}@gamma.com`})
+    }
+    await Post.create({id: 'p9', author: 'user7@gamma.com', title: 'Gamma'})
+
+    //  Measure the number of concurrent related finds
+    let t: any = table
+    let execute = t.execute
+    let running = 0, max = 0, fail = null
+    let pending: Promise<any>[] = []
+    t.execute = function(...args) {
+        let promise = (async() => {
+            running++
+            max = Math.max(max, running)
+            try {
+                await delay(1)
+                if (fail && JSON.stringify(args).indexOf(fail) >= 0) {
+                    throw new Error('Find failed')
+                }
+                return await execute.apply(this, args)
+            } finally {
+                running--
+            }
+        })()
+        pending.push(promise)
+        return promise
+    }
+    try {
+        let users: any = await User.find({accountId: 'a3'} as any, {include: 'posts'})
+        expect(users).toHaveLength(12)
+        expect(users.find(u => u.email == 'user7@gamma.com').posts.map(p => p.title)).toEqual(['Gamma'])
+        expect(max).toBe(10)
+
+        //  A failed find is reported after all other finds have completed
+        fail = 'user3@gamma.com'
+        await expect(User.find({accountId: 'a3'} as any, {include: 'posts'})).rejects.toThrow(/Find failed/)
+        expect(running).toBe(0)
+    } finally {
+        await Promise.allSettled(pending)
+        t.execute = execute
+    }
+})
+
+test('Unknown relation', async() => {
+    await expect(Account.get({id: 'a1'}, {include: 'unknown'})).rejects.toThrow(/Unknown or invalid relation "unknown"/)
+})
+
+test('Destroy Table', async() => {
+    await table.deleteTable('DeleteTableForever')
+    expect(await table.exists()).toBe(false)
+})
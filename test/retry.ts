@@ -0,0 +1,104 @@
+/*
+    retry.ts - Test retry policy for transient errors
+ */
+import {AWS, Client, Entity, Match, Model, Table, print, dump, delay} from './utils/init'
+import {DefaultSchema} from './schemas'
+
+// jest.setTimeout(7200 * 1000)
+
+/*
+    Client that fails the next "failures" requests with the given error name
+ */
+let failures = 0
+let failName = 'ThrottlingException'
+let calls = 0
+
+const FlakyClient: any = Object.create(Client)
+for (let op of ['get', 'put', 'update']) {
+    FlakyClient[op] = async (cmd) => {
+        calls++
+        if (failures > 0) {
+            failures--
+            let err = new Error(`Simulated ${failName}`)
+            err.name = failName
+            throw err
+        }
+        return await Client[op](cmd)
+    }
+}
+
+let monitored: any[] = []
+
+const table = new Table({
+    name: 'RetryTestTable',
+    client: FlakyClient,
+    schema: DefaultSchema,
+    retry: {attempts: 3, delay: 1},
+    monitor: async (model, op, result: any, params, mark) => {
+        monitored.push({model, op, retries: result.Retries})
+    },
+})
+
+type UserType = Entity<typeof DefaultSchema.models.User>
+let User = table.getModel<UserType>('User')
+let user: UserType
+
+function fail(count, name = 'ThrottlingException') {
+    failures = count
+    failName = name
+    calls = 0
+    monitored = []
+}
+
+test('Create Table', async() => {
+    if (!(await table.exists())) {
+        await table.createTable()
+        expect(await table.exists()).toBe(true)
+    }
+})
+
+test('Retry transient errors', async() => {
+    fail(2)
+    user = await User.create({name: 'Peter Smith'})
+    expect(user.name).toBe('Peter Smith')
+    expect(calls).toBe(3)
+    expect(monitored).toEqual([{model: 'User', op: 'put', retries: 2}])
+
+    fail(1, 'ProvisionedThroughputExceededException')
+    user = await User.get({id: user.id})
+    expect(user.name).toBe('Peter Smith')
+    expect(calls).toBe(2)
+})
+
+test('Attempts exhausted', async() => {
+    fail(3)
+    await expect(User.update({id: user.id, status: 'active'})).rejects.toThrow(/ThrottlingException/)
+    expect(calls).toBe(3)
+    expect(monitored[0].retries).toBe(2)
+})
+
+test('Non-retryable errors', async() => {
+    fail(1, 'ValidationException')
+    await expect(User.get({id: user.id})).rejects.toThrow(/ValidationException/)
+    expect(calls).toBe(1)
+})
+
+test('Per-call policy', async() => {
+    fail(1)
+    await expect(User.get({id: user.id}, {retry: false})).rejects.toThrow()
+    expect(calls).toBe(1)
+
+    fail(4)
+    user = await User.get({id: user.id}, {retry: {attempts: 5}})
+    expect(calls).toBe(5)
+
+    //  Codes may omit the "Exception" suffix
+    fail(1, 'CustomBusyException')
+    user = await User.get({id: user.id}, {retry: {codes: ['CustomBusy']}})
+    expect(calls).toBe(2)
+})
+
+test('Destroy Table', async() => {
+    await table.deleteTable('DeleteTableForever')
+    expect(await table.exists()).toBe(false)
+})
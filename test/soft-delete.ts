@@ -0,0 +1,128 @@
+/*
+    soft-delete.ts - Test soft delete models
+ */
+import {AWS, Client, Entity, Match, Model, Table, print, dump, delay} from './utils/init'
+
+// jest.setTimeout(7200 * 1000)
+
+const schema = {
+    version: '0.0.1',
+    indexes: {
+        primary: { hash: 'pk', sort: 'sk' },
+    },
+    models: {
+        User: {
+            pk:         { type: String, value: 'user#${id}' },
+            sk:         { type: String, value: 'user#' },
+            id:         { type: String, uuid: 'ulid' },
+            name:       { type: String },
+            email:      { type: String, unique: true },
+            removed:    { type: Date, softDelete: true },
+        },
+    } as const,
+}
+
+const NoteFields = {
+    pk:         { type: String, value: 'note#' },
+    sk:         { type: String, value: 'note#${id}' },
+    id:         { type: String, uuid: 'ulid' },
+    text:       { type: String },
+}
+
+const table = new Table({
+    name: 'SoftDeleteTestTable',
+    client: Client,
+    schema,
+})
+
+type UserType = Entity<typeof schema.models.User>
+let User = table.getModel<UserType>('User')
+let Note = new Model<any>(table, 'Note', {fields: NoteFields, softDelete: true})
+let user: UserType
+
+test('Create Table', async() => {
+    if (!(await table.exists())) {
+        await table.createTable()
+        expect(await table.exists()).toBe(true)
+    }
+})
+
+test('Create', async() => {
+    user = await User.create({name: 'Peter Smith', email: 'peter@example.com'})
+    expect(user.removed).toBeUndefined()
+})
+
+test('Soft remove', async() => {
+    await User.remove({id: user.id})
+
+    expect(await User.get({id: user.id})).toBeUndefined()
+    expect((await User.find({id: user.id})).length).toBe(0)
+    expect((await User.scan()).length).toBe(0)
+
+    let item = await User.get({id: user.id}, {deleted: true})
+    expect(item.removed).toBeInstanceOf(Date)
+    let items = await User.scan({}, {deleted: true})
+    expect(items.length).toBe(1)
+
+    //  Unique value is still reserved while deleted
+    await expect(User.create({name: 'Other', email: 'peter@example.com'}, {log: false}))
+        .rejects.toMatchObject({code: 'UniqueError'})
+})
+
+test('Restore', async() => {
+    let item = await User.restore({id: user.id})
+    expect(item.removed).toBeUndefined()
+    item = await User.get({id: user.id})
+    expect(item).toMatchObject({name: 'Peter Smith', email: 'peter@example.com'})
+})
+
+test('Purge', async() => {
+    await User.remove({id: user.id})
+    await User.purge({id: user.id})
+    expect(await User.get({id: user.id}, {deleted: true})).toBeUndefined()
+
+    //  Unique items are removed
+    let items = await table.scanItems()
+    expect(items.length).toBe(0)
+    user = await User.create({name: 'Other', email: 'peter@example.com'})
+    expect(user.email).toBe('peter@example.com')
+})
+
+test('Model option', async() => {
+    let note = await Note.create({text: 'hello'})
+    await Note.create({text: 'world'})
+    await Note.remove({id: note.id})
+
+    let notes = await Note.find({})
+    expect(notes.length).toBe(1)
+    expect(notes[0].text).toBe('world')
+
+    notes = await Note.find({}, {deleted: true})
+    expect(notes.length).toBe(2)
+    expect(notes.find(n => n.id == note.id).deleted).toBeInstanceOf(Date)
+
+    await Note.purge({id: note.id})
+    notes = await Note.find({}, {deleted: true})
+    expect(notes.length).toBe(1)
+})
+
+test('Soft remove does not modify params', async() => {
+    let hookParams: any
+    let Hooked = new Model<any>(table, 'Note', {fields: NoteFields, softDelete: true, hooks: {
+        afterRemove: (model, item, params) => { hookParams = params },
+    }})
+    let note = await Hooked.create({text: 'params'})
+    await Hooked.remove({id: note.id}, {return: 'ALL_OLD'})
+    expect(hookParams.return).toBe('ALL_OLD')
+    expect(hookParams.exists).toBeNull()
+})
+
+test('Restore without soft delete', async() => {
+    let Plain = new Model<any>(table, 'Plain', {fields: NoteFields})
+    await expect(Plain.restore({id: '1'})).rejects.toThrow()
+})
+
+test('Destroy Table', async() => {
+    await table.deleteTable('DeleteTableForever')
+    expect(await table.exists()).toBe(false)
+})
@@ -0,0 +1,159 @@
+/*
+    stream.ts - Test parsing DynamoDB Streams records
+ */
+import {AWS, Client, Entity, Match, Model, Table, print, dump, delay} from './utils/init'
+
+// jest.setTimeout(7200 * 1000)
+
+const schema = {
+    version: '0.0.1',
+    indexes: {
+        primary: { hash: 'pk', sort: 'sk' },
+    },
+    models: {
+        User: {
+            pk:         { type: String, value: 'user#${email}' },
+            sk:         { type: String, value: 'user#' },
+            email:      { type: String, required: true, unique: true },
+            name:       { type: String },
+            status:     { type: String, map: 'data.status' },
+            role:       { type: String, map: 'data.role' },
+            born:       { type: Date },
+            tags:       { type: Set },
+        },
+    } as const,
+    params: {
+        timestamps: false,
+    },
+}
+
+const table = new Table({
+    name: 'StreamTestTable',
+    client: Client,
+    schema,
+})
+
+type UserType = Entity<typeof schema.models.User>
+
+const Born = new Date(2000, 0, 1)
+
+const newImage = {
+    pk:     {S: 'user#alice@example.com'},
+    sk:     {S: 'user#'},
+    _type:  {S: 'User'},
+    email:  {S: 'alice@example.com'},
+    name:   {S: 'Alice'},
+    data:   {M: {status: {S: 'active'}, role: {S: 'admin'}}},
+    born:   {N: String(Born.getTime())},
+    tags:   {SS: ['a', 'b']},
+}
+
+const oldImage = Object.assign({}, newImage, {
+    name:   {S: 'Alicia'},
+    data:   {M: {role: {S: 'admin'}, status: {S: 'pending'}}},
+    tags:   {SS: ['b', 'a']},
+})
+
+const keys = {pk: newImage.pk, sk: newImage.sk}
+
+const event = {
+    Records: [
+        {eventName: 'INSERT', dynamodb: {Keys: keys, NewImage: newImage}},
+        {eventName: 'MODIFY', dynamodb: {Keys: keys, NewImage: newImage, OldImage: oldImage}},
+        {eventName: 'INSERT', dynamodb: {
+            Keys: {pk: {S: '_unique#User:email:alice@example.com'}, sk: {S: '_unique#'}},
+            NewImage: {pk: {S: '_unique#User:email:alice@example.com'}, sk: {S: '_unique#'}, _type: {S: '_Unique'}},
+        }},
+        {eventName: 'REMOVE', dynamodb: {Keys: keys, OldImage: newImage}},
+    ],
+}
+
+test('Parse record', async() => {
+    let item = table.parseStreamRecord<UserType>(event.Records[0])
+    expect(item).toBeDefined()
+    expect(item!.eventName).toBe('INSERT')
+    expect(item!.model).toBe('User')
+    expect(item!.keys).toEqual({pk: 'user#alice@example.com', sk: 'user#'})
+    expect(item!.old).toBeUndefined()
+
+    let user = item!.new!
+    expect(user.name).toBe('Alice')
+    expect(user.status).toBe('active')
+    expect(user.role).toBe('admin')
+    expect(user.born).toEqual(Born)
+    expect(user.tags).toEqual(new Set(['a', 'b']))
+    expect((user as any).pk).toBeUndefined()
+    expect((user as any).data).toBeUndefined()
+    expect(item!.changedFields.sort()).toEqual(['born', 'email', 'name', 'role', 'status', 'tags'])
+})
+
+test('Changed fields', async() => {
+    let item = table.parseStreamRecord<UserType>(event.Records[1])!
+    expect(item.old!.name).toBe('Alicia')
+    expect(item.new!.name).toBe('Alice')
+    expect(item.changedFields.sort()).toEqual(['name', 'status'])
+})
+
+test('Parse event', async() => {
+    let items = table.parseStreamEvent(event, {hidden: true})
+    expect(items.map(i => i.eventName)).toEqual(['INSERT', 'MODIFY', 'REMOVE'])
+    expect(items[0].new!.pk).toBe('user#alice@example.com')
+    expect(items[2].new).toBeUndefined()
+    expect(items[2].old!.email).toBe('alice@example.com')
+})
+
+test('Unknown models', async() => {
+    let item = table.parseStreamRecord({eventName: 'INSERT', dynamodb: {
+        Keys: {pk: {S: 'other'}, sk: {S: 'other'}},
+        NewImage: {pk: {S: 'other'}, sk: {S: 'other'}, _type: {S: 'Other'}, count: {N: '1'}},
+    }})!
+    expect(item.model).toBeNull()
+    expect(item.new).toEqual({pk: 'other', sk: 'other', _type: 'Other', count: 1})
+})
+
+test('Tenant mode', async() => {
+    let tenantTable = new Table({name: 'StreamTestTable', client: Client, schema, tenant: {field: 'tenantId'}})
+    let record = (tenant) => ({eventName: 'MODIFY', dynamodb: {
+        Keys: {pk: {S: `${tenant}#user#alice@example.com`}, sk: keys.sk},
+        NewImage: Object.assign({}, newImage, {pk: {S: `${tenant}#user#alice@example.com`}}),
+        OldImage: Object.assign({}, oldImage, {pk: {S: `${tenant}#user#alice@example.com`}}),
+    }})
+
+    //  Records of all tenants are parsed without a tenant context
+    let items = tenantTable.parseStreamEvent({Records: [record('acme'), record('beta')]}, {hidden: true})
+    expect(items.map(item => item.tenant)).toEqual(['acme', 'beta'])
+    expect(items[0].new!.pk).toBe('user#alice@example.com')
+    expect(items[1].old!.name).toBe('Alicia')
+    expect(items[1].changedFields.sort()).toEqual(['name', 'status'])
+
+    //  The record tenant is used even if the context names another tenant
+    let item = tenantTable.child({tenantId: 'beta'}).parseStreamRecord(record('acme'))!
+    expect(item.tenant).toBe('acme')
+
+    //  Hash keys without a tenant prefix cannot be parsed
+    let invalid = {eventName: 'INSERT', dynamodb: {NewImage: Object.assign({}, newImage, {pk: {S: 'alice'}})}}
+    let error: any
+    try {
+        tenantTable.parseStreamRecord(invalid)
+    } catch (err) {
+        error = err
+    }
+    expect(error.name).toBe('OneArgError')
+    expect(error.message).toMatch(/Cannot parse "INSERT" stream record for "User": Missing tenant "tenantId"/)
+    expect(error.context.model).toBe('User')
+    expect(error.context.record).toBe(invalid)
+})
+
+test('Without a V3 client converter', async() => {
+    let v2: any = Object.create(table)
+    v2.V3 = false
+    let item = v2.parseStreamRecord(event.Records[1])
+    expect(item.new.born).toEqual(Born)
+    expect(item.new.tags).toEqual(new Set(['a', 'b']))
+    expect(item.changedFields.sort()).toEqual(['name', 'status'])
+
+    expect(v2.unmarshallImage({
+        list: {L: [{N: '1'}, {NULL: true}, {BOOL: false}]},
+        nums: {NS: ['1', '2']},
+    })).toEqual({list: [1, null, false], nums: new Set([1, 2])})
+})
@@ -0,0 +1,139 @@
+/*
+    sync-indexes.ts - Test reconciling table indexes with the schema
+ */
+import {AWS, Client, Entity, Match, Model, Table, print, dump, delay} from './utils/init'
+import Dynamo from '../src/Dynamo.js'
+
+// jest.setTimeout(7200 * 1000)
+
+const fields = {
+    pk:     { type: String, value: 'user#${name}' },
+    sk:     { type: String, value: 'user#' },
+    gs1pk:  { type: String, value: 'users' },
+    gs1sk:  { type: String, value: 'user#${name}' },
+    gs2pk:  { type: String, value: 'ages' },
+    gs2sk:  { type: String, value: 'user#${age}' },
+    gs3pk:  { type: String, value: 'emails' },
+    gs3sk:  { type: String, value: '${email}' },
+    name:   { type: String },
+    email:  { type: String },
+    age:    { type: Number },
+}
+
+const OriginalSchema = {
+    version: '0.0.1',
+    indexes: {
+        primary: { hash: 'pk', sort: 'sk' },
+        gs1: { hash: 'gs1pk', sort: 'gs1sk', project: 'all' },
+        gs2: { hash: 'gs2pk', sort: 'gs2sk', project: 'keys' },
+    },
+    models: { User: fields },
+}
+
+const UpdatedSchema = {
+    version: '0.0.1',
+    indexes: {
+        primary: { hash: 'pk', sort: 'sk' },
+        gs1: { hash: 'gs1pk', sort: 'gs1sk', project: ['name', 'email'] },
+        gs3: { hash: 'gs3pk', sort: 'gs3sk', project: 'keys' },
+    },
+    models: { User: fields },
+}
+
+const TableName = 'SyncIndexesTestTable'
+
+const table = new Table({name: TableName, client: Client, schema: OriginalSchema})
+const updated = new Table({name: TableName, client: Client, schema: UpdatedSchema})
+
+async function getIndexes() {
+    let description: any = await table.describeTable()
+    let result = {}
+    for (let index of description.Table.GlobalSecondaryIndexes || []) {
+        result[index.IndexName] = index.Projection
+    }
+    return result
+}
+
+test('Create Table', async() => {
+    if (!(await table.exists())) {
+        await table.createTable()
+        expect(await table.exists()).toBe(true)
+    }
+    await table.create('User', {name: 'Alice', email: 'alice@example.com', age: 30})
+})
+
+test('In sync', async() => {
+    let plan = await table.syncIndexes({dryRun: true})
+    expect(plan.steps).toEqual([])
+    expect(plan.errors).toEqual([])
+})
+
+test('Dry run', async() => {
+    let plan = await updated.syncIndexes({dryRun: true})
+    expect(plan.errors).toEqual([])
+    expect(plan.steps.map(s => [s.action, s.name, s.reason])).toEqual([
+        ['delete', 'gs2', 'removed'],
+        ['delete', 'gs1', 'changed'],
+        ['create', 'gs1', 'changed'],
+        ['create', 'gs3', 'missing'],
+    ])
+    let create: any = plan.steps[2].update
+    expect(create.Create.Projection).toEqual({ProjectionType: 'INCLUDE', NonKeyAttributes: ['name', 'email']})
+    expect(plan.steps.every(s => !s.applied)).toBe(true)
+
+    //  Nothing applied
+    let indexes = await getIndexes()
+    expect(Object.keys(indexes).sort()).toEqual(['gs1', 'gs2'])
+})
+
+test('Sync', async() => {
+    let plan = await updated.syncIndexes({delay: 10})
+    expect(plan.steps.every(s => s.applied)).toBe(true)
+
+    let indexes: any = await getIndexes()
+    expect(Object.keys(indexes).sort()).toEqual(['gs1', 'gs3'])
+    expect(indexes.gs1.ProjectionType).toBe('INCLUDE')
+    expect(indexes.gs1.NonKeyAttributes.sort()).toEqual(['email', 'name'])
+    expect(indexes.gs3.ProjectionType).toBe('KEYS_ONLY')
+
+    plan = await updated.syncIndexes({dryRun: true})
+    expect(plan.steps).toEqual([])
+
+    let users = await updated.find('User', {}, {index: 'gs3'})
+    expect(users.length).toBe(1)
+})
+
+test('Refuse unsupported changes', async() => {
+    let schema = {
+        version: '0.0.1',
+        indexes: {
+            primary: { hash: 'pk', sort: 'name' },
+            ls1: { sort: 'email', type: 'local' },
+        },
+        models: { User: fields },
+    }
+    let invalid = new Table({name: TableName, client: Client, schema})
+    let plan = await invalid.syncIndexes({dryRun: true})
+    expect(plan.errors).toEqual([
+        'Cannot change the primary key of an existing table',
+        'Cannot create LSI "ls1" on an existing table',
+    ])
+    await expect(invalid.syncIndexes()).rejects.toThrow(/Cannot sync indexes/)
+
+    //  Nothing applied
+    let indexes = await getIndexes()
+    expect(Object.keys(indexes).sort()).toEqual(['gs1', 'gs3'])
+})
+
+test('V3 client update table', async() => {
+    let sent: any[] = []
+    let client = new Dynamo({client: {send: async (cmd) => { sent.push(cmd) ; return {} }}})
+    await client.updateTable({TableName, GlobalSecondaryIndexUpdates: [{Delete: {IndexName: 'gs3'}}]})
+    expect(sent[0].constructor.name).toBe('UpdateTableCommand')
+    expect(sent[0].input.GlobalSecondaryIndexUpdates).toEqual([{Delete: {IndexName: 'gs3'}}])
+})
+
+test('Destroy Table', async() => {
+    await table.deleteTable('DeleteTableForever')
+    expect(await table.exists()).toBe(false)
+})
@@ -0,0 +1,152 @@
+/*
+    tenant.ts - Test multi-tenant isolation mode
+ */
+import {AWS, Client, Entity, Match, Table, print, dump, delay} from './utils/init'
+
+// jest.setTimeout(7200 * 1000)
+
+const schema = {
+    version: '0.0.1',
+    indexes: {
+        primary: { hash: 'pk', sort: 'sk' },
+        gs1: { hash: 'gs1pk', sort: 'gs1sk', project: 'all' },
+    },
+    models: {
+        User: {
+            pk:         { type: String, value: 'user#${name}' },
+            sk:         { type: String, value: 'user#' },
+            name:       { type: String },
+            email:      { type: String, unique: true },
+            tenantId:   { type: String },
+            gs1pk:      { type: String, value: 'users' },
+            gs1sk:      { type: String, value: 'user#${name}' },
+        },
+    } as const,
+    params: {
+        timestamps: false,
+    },
+}
+
+const table = new Table({
+    name: 'TenantTestTable',
+    client: Client,
+    schema,
+    tenant: {field: 'tenantId'},
+})
+
+type UserType = Entity<typeof schema.models.User>
+
+//  Child tables per tenant as used by concurrent requests
+const acme = table.child({tenantId: 'acme'})
+const beta = table.child({tenantId: 'beta'})
+const AcmeUser = acme.getModel<UserType>('User')
+const BetaUser = beta.getModel<UserType>('User')
+
+test('Create Table', async() => {
+    if (!(await table.exists())) {
+        await table.createTable()
+        expect(await table.exists()).toBe(true)
+    }
+})
+
+test('Require tenant context', async() => {
+    let User = table.getModel<UserType>('User')
+    await expect(User.create({name: 'Nobody', email: 'nobody@example.com'})).rejects.toThrow(/Missing tenant "tenantId"/)
+    await expect(User.get({name: 'Nobody'})).rejects.toThrow(/Missing tenant/)
+    await expect(table.getItem({pk: 'user#Nobody', sk: 'user#'})).rejects.toThrow(/Missing tenant/)
+})
+
+test('Create', async() => {
+    let user = await AcmeUser.create({name: 'Alice', email: 'alice@acme.com'})
+    expect(user).toMatchObject({name: 'Alice', email: 'alice@acme.com', tenantId: 'acme'})
+
+    //  Hash keys are prefixed in the table and stripped on read
+    user = await AcmeUser.get({name: 'Alice'}, {hidden: true})
+    expect(user.pk).toBe('user#Alice')
+    expect(user.gs1pk).toBe('users')
+
+    let raw: any = await acme.getItem({pk: 'user#Alice', sk: 'user#'}, {parse: false})
+    expect(raw.pk.S || raw.pk).toBe('acme#user#Alice')
+
+    //  Same keys in another tenant do not collide
+    await AcmeUser.create({name: 'Bob', email: 'bob@acme.com'})
+    user = await BetaUser.create({name: 'Alice', email: 'alice@beta.com'})
+    expect(user.tenantId).toBe('beta')
+})
+
+test('Unique values are per tenant', async() => {
+    await BetaUser.create({name: 'Carol', email: 'bob@acme.com'})
+    await expect(BetaUser.create({name: 'Dave', email: 'bob@acme.com'})).rejects.toThrow(/unique attributes "email"/)
+})
+
+test('No cross-tenant reads', async() => {
+    let users = await AcmeUser.find({}, {index: 'gs1'})
+    expect(users.map(u => u.name)).toEqual(['Alice', 'Bob'])
+    expect(users.every(u => u.tenantId == 'acme')).toBe(true)
+
+    users = await BetaUser.find({}, {index: 'gs1'})
+    expect(users.map(u => u.name)).toEqual(['Alice', 'Carol'])
+
+    expect(await BetaUser.get({name: 'Bob'})).toBeUndefined()
+    expect((await AcmeUser.get({name: 'Alice'})).email).toBe('alice@acme.com')
+    expect((await BetaUser.get({name: 'Alice'})).email).toBe('alice@beta.com')
+
+    //  Follow, batch and low level reads
+    users = await AcmeUser.find({}, {index: 'gs1', follow: true})
+    expect(users.map(u => u.email)).toEqual(['alice@acme.com', 'bob@acme.com'])
+
+    let batch = {}
+    await BetaUser.get({name: 'Alice'}, {batch})
+    await BetaUser.get({name: 'Bob'}, {batch})
+    let items: any = await beta.batchGet(batch, {parse: true, hidden: false})
+    expect(items.map(u => u.email)).toEqual(['alice@beta.com'])
+
+    let results: any = await beta.queryItems({gs1pk: 'users'}, {index: 'gs1', parse: true})
+    expect(results.map(u => u.name).sort()).toEqual(['Alice', 'Carol'])
+
+    //  An item from another tenant is rejected when read
+    let raw: any = await acme.getItem({pk: 'user#Bob', sk: 'user#'}, {parse: false})
+    let item = (table as any).unmarshall(raw)
+    expect(() => (BetaUser as any).transformReadItem('get', item, {}, {})).toThrow(/another tenant/)
+})
+
+test('Tenant values cannot contain the separator', async() => {
+    let t1 = table.child({tenantId: 't1'})
+    let t1x = table.child({tenantId: 't1#x'})
+    let T1User = t1.getModel<UserType>('User')
+    let T1xUser = t1x.getModel<UserType>('User')
+
+    await expect(T1xUser.create({name: 'foo', email: 'foo@t1x.com'})).rejects.toThrow(/must not contain "#"/)
+    await expect(T1xUser.get({name: 'foo'})).rejects.toThrow(/must not contain "#"/)
+    await expect(T1xUser.get({name: 'foo'})).rejects.toMatchObject({name: 'OneArgError', code: 'TenantError'})
+
+    //  Keys that look prefixed are prefixed again and cannot reach another tenant
+    await T1User.create({name: 'x', email: 'x@t1.com'})
+    expect(await t1.getItem({pk: 't1#user#x', sk: 'user#'})).toBeUndefined()
+    expect(await acme.getItem({pk: 't1#user#x', sk: 'user#'})).toBeUndefined()
+    expect((await t1.getItem({pk: 'user#x', sk: 'user#'}, {parse: true}) as any).email).toBe('x@t1.com')
+})
+
+test('Update and remove', async() => {
+    await AcmeUser.update({name: 'Alice', email: 'alice@example.com'})
+    expect((await AcmeUser.get({name: 'Alice'})).email).toBe('alice@example.com')
+    expect((await BetaUser.get({name: 'Alice'})).email).toBe('alice@beta.com')
+
+    await AcmeUser.remove({name: 'Alice', email: 'alice@example.com'})
+    expect(await AcmeUser.get({name: 'Alice'})).toBeUndefined()
+    expect(await BetaUser.get({name: 'Alice'})).toBeDefined()
+})
+
+test('Refuse scans', async() => {
+    await expect(AcmeUser.scan()).rejects.toThrow(/Cannot scan "User" in tenant mode/)
+    await expect(acme.scanItems()).rejects.toThrow(/tenant mode/)
+})
+
+test('Invalid tenant config', async() => {
+    expect(() => new Table({name: 'TenantTestTable', client: Client, schema, tenant: {} as any})).toThrow(/field/)
+})
+
+test('Destroy Table', async() => {
+    await table.deleteTable('DeleteTableForever')
+    expect(await table.exists()).toBe(false)
+})
@@ -81,6 +81,42 @@ test('Transaction update', async() => {
     expect(grouped.User.length).toBe(3)
 })
 
+test('Transaction cancellation reasons', async() => {
+    let transaction = {}
+    await table.update('User', {id: users[0].id, status: 'online'}, {transaction})
+    await table.create('User', {id: users[1].id, name: 'Duplicate'}, {transaction, exists: false})
+    let err: any
+    try {
+        await table.transact('write', transaction, {log: false})
+    } catch (e) {
+        err = e
+    }
+    expect(err.code).toBe('TransactionCanceledError')
+    expect(err.message).toContain('User: ConditionalCheckFailed')
+    expect(err.context.reasons).toEqual([{
+        index: 1,
+        model: 'User',
+        key: {pk: `User#${users[1].id}`, sk: 'User#'},
+        reason: 'ConditionalCheckFailed',
+        message: expect.any(String),
+    }])
+    //  No items were updated
+    user = await table.get('User', {id: users[0].id})
+    expect(user.status).toBe('offline')
+})
+
+test('Transaction client request token', async() => {
+    let token = table.uuid()
+    for (let i = 0; i < 2; i++) {
+        let transaction = {}
+        await table.create('User', {name: 'Idempotent', email: 'once@example.com'}, {transaction})
+        await table.transact('write', transaction, {token})
+        expect((transaction as any).ClientRequestToken).toBe(token)
+    }
+    let items = await table.scan('User', {}, {where: '${name} = {Idempotent}'})
+    expect(items.length).toBe(1)
+})
+
 test('Destroy', async() => {
     await table.deleteTable('DeleteTableForever')
 })
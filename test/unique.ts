@@ -96,6 +96,24 @@ test('Create non-unique email', async() => {
     expect(items.length).toBe(6)
 })
 
+test('Unique conflict reasons', async() => {
+    let err: any
+    try {
+        await User.create({name: 'Another Peter Smith', email: 'peter@example.com'}, {log: false})
+    } catch (e) {
+        err = e
+    }
+    expect(err.code).toBe('UniqueError')
+    expect(err.message).toContain('"email"')
+    let failed = err.context.reasons
+    expect(failed.length).toBe(1)
+    expect(failed[0]).toMatchObject({
+        model: '_Unique',
+        key: {pk: '_unique#User#email#peter@example.com', sk: '_unique#'},
+        reason: 'ConditionalCheckFailed',
+    })
+})
+
 test('Update non-unique email', async() => {
     const props = {
         name: 'Judy Smith',
@@ -1,11 +1,12 @@
 import AWS from 'aws-sdk'
 import Dynamo from '../../src/Dynamo.js'
+import MemoryDynamo from '../../src/MemoryDynamo.js'
 import { Entity, Model, Table } from '../../src/index.js'
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb'
 
 const PORT = parseInt(process.env.DYNAMODB_PORT)
 
-const Client = new Dynamo({
+const Client = process.env.MEMORY ? new MemoryDynamo() : new Dynamo({
     client: new DynamoDBClient({
         endpoint: `http://localhost:${PORT}`,
         region: 'local',
@@ -51,4 +52,4 @@ const Match = {
     phone:  /^[+]*[(]{0,1}[0-9]{1,4}[)]{0,1}[-\s\./0-9]*$/,
 }
 
-export {AWS, Client, Dynamo, Entity, Match, Model, Table, delay, dump, print}
+export {AWS, Client, Dynamo, Entity, Match, MemoryDynamo, Model, Table, delay, dump, print}
@@ -7,10 +7,17 @@ import DynamoDbLocal from 'dynamo-db-local'
 
 const PORT = parseInt(process.env.PORT || '4567')
 const USE_DOCKER = Boolean(process.env.DOCKER)
+const USE_MEMORY = Boolean(process.env.MEMORY)
 
 module.exports = async () => {
     let dynamodb
 
+    // Tests use the in-memory client for any truthy MEMORY value
+    if (USE_MEMORY) {
+        console.info('Using in-memory DynamoDB')
+        return
+    }
+
     // Run docker for any truthy DOCKER value
     if (USE_DOCKER) {
         const args = [`run`, `-p`, `${PORT}:8000`, `amazon/dynamodb-local`]
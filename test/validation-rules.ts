@@ -0,0 +1,138 @@
+/*
+    validation-rules.ts - Test declarative field validation rules
+ */
+import {AWS, Client, Entity, Match, Table, print, dump, delay} from './utils/init'
+
+// jest.setTimeout(7200 * 1000)
+
+const schema = {
+    version: '0.0.1',
+    indexes: {
+        primary: { hash: 'pk', sort: 'sk' },
+    },
+    models: {
+        Account: {
+            pk:         { type: String, value: 'account#' },
+            sk:         { type: String, value: 'account#${name}' },
+            name:       { type: String, minLength: 2, maxLength: 10 },
+            email:      { type: String, email: true },
+            website:    { type: String, url: true },
+            age:        { type: Number, min: 18, max: 120, integer: true },
+            tags:       { type: Array, minItems: 1, maxItems: 3 },
+            code:       { type: String, validate: (value) => value.startsWith('X') || 'Code must start with "X"' },
+            address:    {
+                type: Object,
+                schema: {
+                    street: { type: String, minLength: 3 },
+                    zip:    { type: String, validate: /^\d{5}$/ },
+                },
+            },
+            items:      {
+                type: Array,
+                items: {
+                    type: Object,
+                    schema: {
+                        qty:    { type: Number, min: 1, required: true },
+                    },
+                },
+            },
+        },
+    } as const,
+    params: {
+        timestamps: false,
+    },
+}
+
+const table = new Table({
+    name: 'ValidationRulesTestTable',
+    client: Client,
+    schema,
+})
+
+type AccountType = Entity<typeof schema.models.Account>
+const Account = table.getModel<AccountType>('Account')
+
+const valid = {
+    name: 'acme',
+    email: 'admin@acme.com',
+    website: 'https://acme.com',
+    age: 42,
+    tags: ['one'],
+    code: 'X100',
+    address: {street: 'Main St', zip: '98101'},
+    items: [{qty: 1}, {qty: 2}],
+}
+
+async function getErrors(properties, params = {}) {
+    try {
+        await Account.create(Object.assign({}, valid, properties), params)
+    } catch (err) {
+        expect(err.code).toBe('ValidationError')
+        return err.context.validation
+    }
+    return null
+}
+
+test('Create Table', async() => {
+    if (!(await table.exists())) {
+        await table.createTable()
+        expect(await table.exists()).toBe(true)
+    }
+})
+
+test('Valid', async() => {
+    let account = await Account.create(valid)
+    expect(account.age).toBe(42)
+    expect(account.address).toEqual({street: 'Main St', zip: '98101'})
+})
+
+test('Numeric rules', async() => {
+    expect(await getErrors({age: 10})).toEqual({age: 'Value for "age" must be at least 18'})
+    expect(await getErrors({age: 200})).toEqual({age: 'Value for "age" must be at most 120'})
+    expect(await getErrors({age: 20.5})).toEqual({age: 'Value for "age" must be an integer'})
+})
+
+test('String rules', async() => {
+    expect(await getErrors({name: 'a'})).toEqual({name: 'Value for "name" must be at least 2 characters'})
+    expect(await getErrors({name: 'abcdefghijk'})).toEqual({name: 'Value for "name" must be at most 10 characters'})
+    expect(await getErrors({email: 'admin'})).toEqual({email: 'Bad email address "admin" for "email"'})
+    expect(await getErrors({website: 'acme.com'})).toEqual({website: 'Bad URL "acme.com" for "website"'})
+})
+
+test('Array rules', async() => {
+    expect(await getErrors({tags: []})).toEqual({tags: 'Value for "tags" must have at least 1 items'})
+    expect(await getErrors({tags: ['a', 'b', 'c', 'd']})).toEqual({tags: 'Value for "tags" must have at most 3 items'})
+})
+
+test('Custom validator', async() => {
+    expect(await getErrors({code: 'Y100'})).toEqual({code: 'Code must start with "X"'})
+})
+
+test('Collect all errors', async() => {
+    let validation = await getErrors({
+        name: 'a',
+        age: 1,
+        address: {street: 'St', zip: 'bad'},
+        items: [{qty: 1}, {qty: 0}, {}],
+    })
+    expect(validation).toEqual({
+        'name': 'Value for "name" must be at least 2 characters',
+        'age': 'Value for "age" must be at least 18',
+        'address.street': 'Value for "street" must be at least 3 characters',
+        'address.zip': 'Bad value "bad" for "zip"',
+        'items[1].qty': 'Value for "qty" must be at least 1',
+        'items[2].qty': 'Value not defined for required field "qty"',
+    })
+})
+
+test('Update', async() => {
+    await expect(Account.update({name: 'acme', age: 5})).rejects.toThrow(/Validation Error in "Account" for "age"/)
+    let account = await Account.update({name: 'acme', age: 50, email: null})
+    expect(account.age).toBe(50)
+    expect(account.email).toBeUndefined()
+})
+
+test('Destroy Table', async() => {
+    await table.deleteTable('DeleteTableForever')
+    expect(await table.exists()).toBe(false)
+})
@@ -0,0 +1,97 @@
+/*
+    version.ts - Test optimistic locking with version fields
+ */
+import {AWS, Client, Entity, Match, Table, print, dump, delay} from './utils/init'
+
+// jest.setTimeout(7200 * 1000)
+
+const schema = {
+    version: '0.0.1',
+    indexes: {
+        primary: { hash: 'pk', sort: 'sk' },
+    },
+    models: {
+        Account: {
+            pk:         { type: String, value: 'account#${id}' },
+            sk:         { type: String, value: 'account#' },
+            id:         { type: String, uuid: 'ulid' },
+            balance:    { type: Number, default: 0 },
+            version:    { type: Number, version: true },
+        },
+    } as const,
+}
+
+const table = new Table({
+    name: 'VersionTestTable',
+    client: Client,
+    schema,
+})
+
+type AccountType = Entity<typeof schema.models.Account>
+let Account = table.getModel<AccountType>('Account')
+let account: AccountType
+
+test('Create Table', async() => {
+    if (!(await table.exists())) {
+        await table.createTable()
+        expect(await table.exists()).toBe(true)
+    }
+})
+
+test('Create', async() => {
+    account = await Account.create({balance: 10})
+    expect(account.version).toBe(1)
+})
+
+test('Update with version', async() => {
+    account = await Account.update({id: account.id, balance: 20, version: account.version})
+    expect(account.balance).toBe(20)
+    expect(account.version).toBe(2)
+
+    //  Update without a version still increments
+    account = await Account.update({id: account.id, balance: 30})
+    expect(account.version).toBe(3)
+})
+
+test('Version conflict', async() => {
+    let first = await Account.get({id: account.id})
+    let second = await Account.get({id: account.id})
+
+    account = await Account.update({id: first.id, balance: first.balance + 1, version: first.version})
+    expect(account.version).toBe(4)
+
+    await expect(Account.update({id: second.id, balance: second.balance + 1, version: second.version}, {log: false}))
+        .rejects.toMatchObject({code: 'VersionConflictError'})
+
+    account = await Account.get({id: account.id})
+    expect(account).toMatchObject({balance: 31, version: 4})
+})
+
+test('Upsert', async() => {
+    let item = await Account.update({id: table.ulid(), balance: 5}, {exists: null})
+    expect(item.version).toBe(1)
+})
+
+test('Remove with version', async() => {
+    await expect(Account.remove({id: account.id, version: 1}, {log: false}))
+        .rejects.toMatchObject({code: 'VersionConflictError'})
+    expect(await Account.get({id: account.id})).toBeDefined()
+
+    await Account.remove({id: account.id, version: account.version})
+    expect(await Account.get({id: account.id})).toBeUndefined()
+})
+
+test('Invalid version field', () => {
+    expect(() => {
+        table.addModel('Bad', {
+            pk:         { type: String, value: 'bad#' },
+            sk:         { type: String, value: 'bad#' },
+            version:    { type: String, version: true },
+        })
+    }).toThrow()
+})
+
+test('Destroy Table', async() => {
+    await table.deleteTable('DeleteTableForever')
+    expect(await table.exists()).toBe(false)
+})
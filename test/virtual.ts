@@ -0,0 +1,131 @@
+/*
+    virtual.ts - Test virtual (computed) fields
+ */
+import {AWS, Client, Entity, Match, Model, Table, print, dump, delay} from './utils/init'
+
+// jest.setTimeout(7200 * 1000)
+
+const schema = {
+    version: '0.0.1',
+    indexes: {
+        primary: { hash: 'pk', sort: 'sk' },
+    },
+    models: {
+        User: {
+            pk:         { type: String, value: 'user#' },
+            sk:         { type: String, value: 'user#${first}.${last}' },
+            first:      { type: String },
+            last:       { type: String },
+            born:       { type: Number },
+            fullName:   { type: String, virtual: true, value: '${first} ${last}' },
+            initials:   {
+                type: String,
+                virtual: true,
+                compute: (item) => item.first && item.last ? `${item.first[0]}${item.last[0]}` : undefined,
+            },
+            address:    {
+                type: Object,
+                schema: {
+                    city:   { type: String },
+                    zip:    { type: String },
+                    label:  { type: String, virtual: true, value: '${city} ${zip}' },
+                },
+            },
+        },
+    } as const,
+    params: {
+        timestamps: false,
+    },
+}
+
+const table = new Table({
+    name: 'VirtualTestTable',
+    client: Client,
+    schema,
+})
+
+type UserType = Entity<typeof schema.models.User>
+const User = table.getModel<UserType>('User')
+
+test('Create Table', async() => {
+    if (!(await table.exists())) {
+        await table.createTable()
+        expect(await table.exists()).toBe(true)
+    }
+})
+
+test('Compute on read', async() => {
+    let user = await User.create({first: 'Ada', last: 'Lovelace', address: {city: 'London', zip: 'W1'}})
+    expect(user.fullName).toBe('Ada Lovelace')
+    expect(user.initials).toBe('AL')
+    expect(user.address).toEqual({city: 'London', zip: 'W1', label: 'London W1'})
+
+    user = await User.get({first: 'Ada', last: 'Lovelace'})
+    expect(user.fullName).toBe('Ada Lovelace')
+    expect(user.initials).toBe('AL')
+
+    let users = await User.find({})
+    expect(users[0].fullName).toBe('Ada Lovelace')
+})
+
+test('Never written', async() => {
+    let user: any = {first: 'Grace', last: 'Hopper', fullName: 'Ignored', initials: 'XX'}
+    let cmd: any = await User.create(user, {execute: false})
+    expect(JSON.stringify(cmd)).not.toMatch(/fullName|initials|Ignored/)
+
+    cmd = await User.update({first: 'Ada', last: 'Lovelace', fullName: 'Ignored'} as any, {execute: false})
+    expect(JSON.stringify(cmd)).not.toMatch(/fullName|Ignored/)
+
+    await User.create(user)
+    let raw: any = await table.getItem({pk: 'user#', sk: 'user#Grace.Hopper'}, {parse: false})
+    expect(raw.fullName).toBeUndefined()
+    expect(raw.initials).toBeUndefined()
+
+    user = await User.get({first: 'Grace', last: 'Hopper'})
+    expect(user.fullName).toBe('Grace Hopper')
+    expect(user.initials).toBe('GH')
+})
+
+test('Missing template properties', async() => {
+    let user = await User.get({first: 'Ada', last: 'Lovelace'}, {fields: ['first', 'address']})
+    expect(user.first).toBe('Ada')
+    expect(user.fullName).toBeUndefined()
+    expect(user.initials).toBeUndefined()
+})
+
+test('Typed as read-only', async() => {
+    let user = await User.get({first: 'Ada', last: 'Lovelace'})
+    // @ts-expect-error
+    user.fullName = 'Read only'
+    let name: string | undefined = user.fullName
+    expect(name).toBe('Read only')
+})
+
+test('Not usable in where clauses', async() => {
+    await expect(User.find({}, {where: {fullName: 'Ada Lovelace'}}))
+        .rejects.toThrow('Cannot use virtual field "fullName" in where clause')
+    await expect(User.find({}, {where: {'address.label': {begins: 'London'}}}))
+        .rejects.toThrow('Cannot use virtual field "address.label" in where clause')
+    expect((await User.find({}, {where: {first: 'Ada'}})).map(u => u.fullName)).toEqual(['Ada Lovelace'])
+})
+
+test('Invalid virtual fields', async() => {
+    expect(() => new Model(table, 'Bad', {
+        fields: {
+            pk:     { type: String, value: 'bad#' },
+            sk:     { type: String, virtual: true, value: '${id}' },
+        },
+    })).toThrow(/cannot be indexed/)
+    expect(() => new Model(table, 'Bad', {
+        fields: {
+            pk:     { type: String, value: 'bad#' },
+            sk:     { type: String },
+            name:   { type: String, virtual: true },
+        },
+    })).toThrow(/requires a "value" template or "compute" function/)
+})
+
+test('Destroy Table', async() => {
+    await table.deleteTable('DeleteTableForever')
+    expect(await table.exists()).toBe(false)
+})
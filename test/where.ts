@@ -0,0 +1,142 @@
+/*
+    where.ts - Test object where clauses and set operations
+ */
+import {AWS, Client, Entity, Match, Model, Table, print, dump, delay} from './utils/init'
+
+// jest.setTimeout(7200 * 1000)
+
+const schema = {
+    version: '0.0.1',
+    indexes: {
+        primary: { hash: 'pk', sort: 'sk' },
+    },
+    models: {
+        User: {
+            pk:         { type: String, value: 'user#' },
+            sk:         { type: String, value: 'user#${name}' },
+            name:       { type: String },
+            status:     { type: String },
+            age:        { type: Number },
+            vip:        { type: Boolean },
+            tags:       { type: Array },
+            joined:     { type: Date },
+            address:    { type: Object, schema: {
+                city:       { type: String },
+                zip:        { type: String },
+            }},
+        },
+    } as const,
+}
+
+const table = new Table({
+    name: 'WhereTestTable',
+    client: Client,
+    schema,
+})
+
+type UserType = Entity<typeof schema.models.User>
+let User = table.getModel<UserType>('User')
+
+const Users = [
+    {name: 'Alice', status: 'open', age: 30, vip: true, tags: ['a', 'b'], joined: new Date(2020, 0, 1), address: {city: 'Paris', zip: '75001'}},
+    {name: 'Bob', status: 'open', age: 18, tags: ['a'], joined: new Date(2021, 0, 1), address: {city: 'Berlin', zip: '10115'}},
+    {name: 'Carol', status: 'closed', age: 45, tags: [], joined: new Date(2022, 0, 1)},
+    {name: 'Dave', status: 'open', age: 25, joined: new Date(2023, 0, 1)},
+]
+
+async function names(where, params = {}) {
+    let items = await User.find({}, Object.assign({where}, params))
+    return items.map(u => u.name).sort()
+}
+
+test('Create Table', async() => {
+    if (!(await table.exists())) {
+        await table.createTable()
+        expect(await table.exists()).toBe(true)
+    }
+    for (let user of Users) {
+        await User.create(user)
+    }
+})
+
+test('Compile', async() => {
+    let cmd: any = await User.find({}, {
+        where: {and: [{status: {'=': 'open'}}, {or: [{age: {'>': 21}}, {vip: {exists: true}}]}]},
+        log: false, execute: false,
+    })
+    expect(cmd.FilterExpression).toBe('(#_0 = :_0) and ((#_1 > :_1) or (attribute_exists(#_2)))')
+    expect(cmd.ExpressionAttributeNames).toMatchObject({'#_0': 'status', '#_1': 'age', '#_2': 'vip'})
+    expect(cmd.ExpressionAttributeValues[':_0']).toEqual({S: 'open'})
+    expect(cmd.ExpressionAttributeValues[':_1']).toEqual({N: '21'})
+
+    //  Same names and values as the equivalent string template
+    let str: any = await User.find({}, {
+        where: '(${status} = {open}) and ((${age} > {21}) or (attribute_exists(${vip})))',
+        log: false, execute: false,
+    })
+    expect(cmd.FilterExpression).toBe(str.FilterExpression)
+    expect(cmd.ExpressionAttributeNames).toEqual(str.ExpressionAttributeNames)
+    expect(cmd.ExpressionAttributeValues).toEqual(str.ExpressionAttributeValues)
+})
+
+test('Filters', async() => {
+    expect(await names({status: 'open', age: {'>=': 25}})).toEqual(['Alice', 'Dave'])
+    expect(await names({or: [{status: 'closed'}, {vip: true}]})).toEqual(['Alice', 'Carol'])
+    expect(await names({not: {status: 'open'}})).toEqual(['Carol'])
+    expect(await names({age: {between: [20, 40]}})).toEqual(['Alice', 'Dave'])
+    expect(await names({name: {begins: 'Ca'}})).toEqual(['Carol'])
+    expect(await names({name: {in: ['Bob', 'Dave', 'Zoe']}})).toEqual(['Bob', 'Dave'])
+    expect(await names({tags: {contains: 'a'}})).toEqual(['Alice', 'Bob'])
+    expect(await names({tags: {size: {'>': 0}}})).toEqual(['Alice', 'Bob'])
+    expect(await names({vip: {exists: false}})).toEqual(['Bob', 'Carol', 'Dave'])
+    expect(await names({age: {type: 'N', '<>': 30}})).toEqual(['Bob', 'Carol', 'Dave'])
+})
+
+test('Dates and nested fields', async() => {
+    expect(await names({joined: {'>=': new Date(2022, 0, 1)}})).toEqual(['Carol', 'Dave'])
+    expect(await names({'address.city': 'Berlin'})).toEqual(['Bob'])
+    expect(await names({'address.zip': {begins: '75'}})).toEqual(['Alice'])
+})
+
+test('Mixed with string clauses', async() => {
+    expect(await names({and: ['${status} = @{status}', {age: {'<': 20}}]}, {substitutions: {status: 'open'}}))
+        .toEqual(['Bob'])
+})
+
+test('Conditions', async() => {
+    await expect(User.update({name: 'Bob', status: 'closed'}, {where: {age: {'>': 21}}, log: false}))
+        .rejects.toThrow()
+    let user = await User.update({name: 'Bob', status: 'closed'}, {where: {age: {'<=': 21}}})
+    expect(user.status).toBe('closed')
+
+    await expect(User.remove({name: 'Bob'}, {where: {status: 'open'}, log: false})).rejects.toThrow()
+})
+
+test('Set operations', async() => {
+    let user = await User.update({name: 'Alice'}, {set: {age: {'+': 2}, tags: {append: ['c']}}})
+    expect(user.age).toBe(32)
+    expect(user.tags).toEqual(['a', 'b', 'c'])
+
+    user = await User.update({name: 'Dave'}, {set: {tags: {prepend: ['z']}, vip: {if_not_exists: false}}})
+    expect(user.tags).toEqual(['z'])
+    expect(user.vip).toBe(false)
+
+    user = await User.update({name: 'Dave'}, {set: {age: {'-': 5}, vip: {if_not_exists: true}}})
+    expect(user.age).toBe(20)
+    expect(user.vip).toBe(false)
+})
+
+test('Invalid clauses', async() => {
+    // @ts-expect-error - unknown fields are also rejected by the type checker
+    await expect(User.find({}, {where: {unknown: 1}})).rejects.toThrow('Unknown field "unknown"')
+    await expect(User.find({}, {where: {'address.unknown': 1}})).rejects.toThrow('Unknown field "address.unknown"')
+    await expect(User.find({}, {where: {age: {'=>': 1}} as any})).rejects.toThrow('Invalid where operator "=>"')
+    await expect(User.find({}, {where: {or: []}})).rejects.toThrow()
+    await expect(User.find({}, {where: {age: {between: [1]}} as any})).rejects.toThrow()
+    await expect(User.update({name: 'Alice'}, {set: {unknown: {'+': 1}}})).rejects.toThrow('Unknown field')
+})
+
+test('Destroy Table', async() => {
+    await table.deleteTable('DeleteTableForever')
+    expect(await table.exists()).toBe(false)
+})